@@ -135,18 +135,38 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const logout = async () => {
+    // Revoke the session server-side; log out locally even if that fails
+    try {
+      await post('/auth/logout');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+    
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully!');
   };
 
+  // Same rules as utils/policy.js on the server, which has the final say:
+  // can('post:edit', post) is true with post:edit:any, or post:edit:own on
+  // the user's own post
+  const can = (action, resource = null) => {
+    const permissions = state.user?.permissions || [];
+    if (permissions.includes(action) || permissions.includes(`${action}:any`)) {
+      return true;
+    }
+    const author = resource?.author?._id || resource?.author;
+    return Boolean(author) && author === state.user?.id && permissions.includes(`${action}:own`);
+  };
+
   const value = {
     ...state,
     login,
     register,
     logout,
+    can,
   };
 
   return (
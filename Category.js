@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -12,6 +13,22 @@ const categorySchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Description cannot exceed 200 characters']
   },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // All ancestors from the root down to the parent, for breadcrumbs and
+  // finding descendants in one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Hold new comments for review; null follows the site-wide setting
+  moderateComments: {
+    type: Boolean,
+    default: null
+  },
   slug: {
     type: String,
     unique: true,
@@ -21,12 +38,62 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Slug for a name that no other category uses, adding a numeric suffix
+// (news-2, news-3, ...) on collisions
+categorySchema.statics.generateUniqueSlug = async function(name, excludeId = null) {
+  const base = slugify(name) || 'category';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const others = await this.find({ _id: { $ne: excludeId }, slug: pattern }).select('slug');
+  const taken = new Set(others.map((category) => category.slug));
+
+  if (!taken.has(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
 // Generate slug before saving
-categorySchema.pre('save', function(next) {
+categorySchema.pre('save', async function() {
   if (this.isModified('name')) {
-    this.slug = this.name.toLowerCase().replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').trim('-');
+    this.slug = await this.constructor.generateUniqueSlug(this.name, this._id);
   }
-  next();
 });
 
+// Place this category under a parent category document (or null for a root
+// category)
+categorySchema.methods.setParent = function(parent) {
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+};
+
+// Whether this category is the given category or one of its ancestors
+categorySchema.methods.isAncestorOf = function(category) {
+  return this._id.equals(category._id) || category.ancestors.some((id) => id.equals(this._id));
+};
+
+// Rewrite the ancestors of every descendant after this category moved
+categorySchema.methods.updateDescendants = async function() {
+  const descendants = await this.constructor.find({ ancestors: this._id });
+
+  await Promise.all(descendants.map((descendant) => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex((id) => id.equals(this._id)));
+    descendant.ancestors = [...this.ancestors, ...below];
+    return descendant.save();
+  }));
+};
+
+// Ids of a category and all of its subcategories
+categorySchema.statics.withDescendants = async function(id) {
+  const descendants = await this.find({ ancestors: id }).select('_id');
+  return [id, ...descendants.map((category) => category._id)];
+};
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
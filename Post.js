@@ -1,21 +1,9 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const { renderMarkdown, truncateText } = require('../utils/markdown');
 
-const commentSchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: [true, 'Comment content is required'],
-    maxlength: [500, 'Comment cannot exceed 500 characters']
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+// Paths under /api/posts that would shadow a post with the same slug
+const RESERVED_SLUGS = ['preview', 'search', 'review-queue', 'mine', 'events'];
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -28,6 +16,26 @@ const postSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Post content is required']
   },
+  // Sanitized HTML rendered from the Markdown content, with the values
+  // derived from it; all are kept up to date on save
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  readingTime: {
+    type: Number,
+    default: 0
+  },
   excerpt: {
     type: String,
     maxlength: [200, 'Excerpt cannot exceed 200 characters']
@@ -36,6 +44,17 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Responsive sizes of the featured image (thumbnail, small, medium, large)
+  featuredImageVariants: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Storage keys of the image files, so they can be removed with the post
+  featuredImageKeys: {
+    type: [String],
+    select: false
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -46,21 +65,64 @@ const postSchema = new mongoose.Schema({
     ref: 'Category',
     required: true
   },
+  // Tag slugs; names and counts live on the Tag model
   tags: [{
     type: String,
     trim: true
   }],
   status: {
     type: String,
-    enum: ['draft', 'published'],
+    enum: ['draft', 'in_review', 'changes_requested', 'scheduled', 'published'],
     default: 'draft'
   },
+  // When the post was last submitted for review
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  // Decisions and notes from editors reviewing the post
+  reviewNotes: [{
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    action: {
+      type: String,
+      enum: ['approved', 'changes_requested']
+    },
+    note: {
+      type: String,
+      maxlength: [2000, 'Review note cannot exceed 2000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // When the post last went live; public listings are ordered by it
+  publishedAt: {
+    type: Date,
+    default: null
+  },
   slug: {
     type: String,
     unique: true,
     lowercase: true
   },
-  comments: [commentSchema],
+  // Slugs the post had before its title changed; old URLs redirect to the current one
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  // Comments live in their own collection; this is kept in sync for listings
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -68,23 +130,142 @@ const postSchema = new mongoose.Schema({
   views: {
     type: Number,
     default: 0
+  },
+  // Bumped on every edit; clients send it back in If-Match so concurrent
+  // edits don't silently overwrite each other
+  version: {
+    type: Number,
+    default: 1
   }
 }, {
   timestamps: true
 });
 
-// Generate slug before saving
+// Lets the publish scheduler find due posts quickly
+postSchema.index({ status: 1, publishAt: 1 });
+// Review queue, oldest submission first
+postSchema.index({ status: 1, submittedAt: 1 });
+// Public listings, newest first
+postSchema.index({ status: 1, publishedAt: -1 });
+
+// Full-text search, ranking title and tag matches above the body
+postSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  { weights: { title: 10, tags: 6, excerpt: 3, content: 1 }, name: 'PostTextIndex' }
+);
+
+postSchema.index({ previousSlugs: 1 });
+postSchema.index({ tags: 1 });
+
+// Slug for a title that no other post uses, current or previous, adding a
+// numeric suffix (my-post-2, my-post-3, ...) on collisions and on reserved
+// route names
+postSchema.statics.generateUniqueSlug = async function(title, excludeId = null) {
+  const base = slugify(title) || 'post';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const taken = new Set(RESERVED_SLUGS);
+  const others = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs');
+
+  others.forEach((post) => {
+    [post.slug, ...post.previousSlugs].forEach((slug) => taken.add(slug));
+  });
+
+  if (!taken.has(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+postSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'in_review') {
+    this.submittedAt = new Date();
+  }
+  if (this.isModified('status') && this.status === 'published') {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Edits to these fields make a new version; views and likes don't
+const VERSIONED_FIELDS = [
+  'title', 'content', 'excerpt', 'category', 'tags', 'status', 'publishAt', 'featuredImage'
+];
+
 postSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    this.slug = this.title.toLowerCase().replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-').trim('-');
+  if (!this.isNew && VERSIONED_FIELDS.some((field) => this.isModified(field))) {
+    this.version += 1;
   }
   next();
 });
 
-// Generate excerpt if not provided
+// Tag for the current version, sent in the Post-Version header and expected
+// back in If-Match
+postSchema.methods.etag = function() {
+  return `"${this._id}-${this.version}"`;
+};
+
+// Whether an If-Match header value matches the current version
+postSchema.methods.matchesEtag = function(header) {
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === '*' || tag === this.etag());
+};
+
+// Save only if nobody else saved a new version since this document was
+// loaded; otherwise save() rejects with a DocumentNotFoundError
+postSchema.methods.saveIfUnchanged = async function() {
+  // Posts from before versioning have no version field yet
+  this.$where = { version: this.version === 1 ? { $in: [1, null] } : this.version };
+  try {
+    return await this.save();
+  } finally {
+    this.$where = undefined;
+  }
+};
+
+// Generate slug before saving, remembering the old one
+postSchema.pre('save', async function() {
+  if (!this.isModified('title') && this.slug) {
+    return;
+  }
+
+  const slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+
+  if (this.slug && this.slug !== slug && !this.previousSlugs.includes(this.slug)) {
+    this.previousSlugs.push(this.slug);
+  }
+  // Going back to an earlier title takes its slug back
+  this.previousSlugs.pull(slug);
+  this.slug = slug;
+});
+
+// Render the Markdown content and generate the excerpt from its plain text
+// if not provided
 postSchema.pre('save', function(next) {
-  if (!this.excerpt && this.content) {
-    this.excerpt = this.content.substring(0, 150) + '...';
+  if (!this.content) {
+    return next();
+  }
+
+  if (this.isModified('content') || !this.contentHtml) {
+    const rendered = renderMarkdown(this.content);
+    this.contentHtml = rendered.html;
+    this.toc = rendered.toc;
+    this.wordCount = rendered.wordCount;
+    this.readingTime = rendered.readingTime;
+    this.$locals.plainText = rendered.text;
+  }
+
+  if (!this.excerpt) {
+    this.excerpt = truncateText(this.$locals.plainText || renderMarkdown(this.content).text);
   }
   next();
 });
@@ -4,13 +4,29 @@ import { useNavigate } from 'react-router-dom';
 import { useApi } from '../../hooks/useApi';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import { Upload, X } from 'lucide-react';
+import { format, formatDistanceToNowStrict } from 'date-fns';
+import { Upload, X, Eye, Pencil, CloudOff, RotateCcw, MessageSquare } from 'lucide-react';
+import TagInput from './TagInput';
+import ConflictResolver from './ConflictResolver';
+import PostHistory from './PostHistory';
+import { useAutosave } from '../../hooks/useAutosave';
+
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
 
 const PostForm = ({ post = null, isEdit = false }) => {
   const [categories, setCategories] = useState([]);
   const [imagePreview, setImagePreview] = useState(post?.featuredImage || '');
   const [selectedFile, setSelectedFile] = useState(null);
+  const [imageRemoved, setImageRemoved] = useState(false);
+  const [tags, setTags] = useState(post?.tags || []);
   const [loading, setLoading] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+  // Version the edits are based on, sent as If-Match
+  const [version, setVersion] = useState(post?.version);
+  const [conflict, setConflict] = useState(null);
+  const [resubmit, setResubmit] = useState(false);
   
   const { register, handleSubmit, formState: { errors }, setValue, watch } = useForm({
     defaultValues: {
@@ -18,12 +34,22 @@ const PostForm = ({ post = null, isEdit = false }) => {
       content: post?.content || '',
       excerpt: post?.excerpt || '',
       category: post?.category._id || '',
-      tags: post?.tags?.join(', ') || '',
       status: post?.status || 'draft',
+      publishAt: post?.publishAt ? format(new Date(post.publishAt), "yyyy-MM-dd'T'HH:mm") : '',
     },
   });
   
-  const { user } = useAuth();
+  const status = watch('status');
+  const content = watch('content');
+  const [title, excerpt, category] = watch(['title', 'excerpt', 'category']);
+  
+  const { user, can } = useAuth();
+  const autosave = useAutosave({
+    userId: user?.id,
+    postId: post?._id,
+    values: { title, content, excerpt, category, tags },
+    since: post?.updatedAt,
+  });
   const { get, post: apiPost, put } = useApi();
   const navigate = useNavigate();
 
@@ -40,9 +66,71 @@ const PostForm = ({ post = null, isEdit = false }) => {
     }
   };
 
+  // Render through the server so the preview matches the published post
+  const showPreview = async () => {
+    setPreviewing(true);
+    setPreview(null);
+    try {
+      const response = await apiPost('/posts/preview', { content });
+      setPreview(response.data);
+    } catch (error) {
+      console.error('Error rendering preview:', error);
+      setPreviewing(false);
+    }
+  };
+
+  // Save again once the merged values are in the form
+  useEffect(() => {
+    if (resubmit) {
+      setResubmit(false);
+      handleSubmit(onSubmit)();
+    }
+  }, [resubmit]);
+
+  const resolveConflict = (values) => {
+    Object.entries(values).forEach(([field, value]) => {
+      if (field === 'tags') {
+        setTags(value);
+      } else {
+        setValue(field, value, { shouldDirty: true });
+      }
+    });
+    setVersion(conflict.theirs.version);
+    setConflict(null);
+    setResubmit(true);
+  };
+
+  // Load a restored revision into the form; it is now the saved version
+  const applyRevision = (restored) => {
+    ['title', 'content', 'excerpt'].forEach((field) => {
+      setValue(field, restored[field] || '');
+    });
+    setValue('category', restored.category?._id || '');
+    setTags(restored.tags || []);
+    setVersion(restored.version);
+  };
+
+  const recoverDraft = () => {
+    const draft = autosave.recover();
+    ['title', 'content', 'excerpt', 'category'].forEach((field) => {
+      setValue(field, draft[field] || '', { shouldDirty: true });
+    });
+    setTags(draft.tags);
+    toast.success('Draft recovered');
+  };
+
   const handleImageChange = (e) => {
     const file = e.target.files[0];
     if (file) {
+      // The server checks the real content too; this just saves a round trip
+      if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+        toast.error('Please choose a JPEG, PNG, GIF or WebP image');
+        return;
+      }
+      if (file.size > MAX_IMAGE_SIZE) {
+        toast.error('Image cannot be larger than 5MB');
+        return;
+      }
       setSelectedFile(file);
       const reader = new FileReader();
       reader.onloadend = () => {
@@ -55,6 +143,7 @@ const PostForm = ({ post = null, isEdit = false }) => {
   const removeImage = () => {
     setSelectedFile(null);
     setImagePreview('');
+    setImageRemoved(true);
   };
 
   const onSubmit = async (data) => {
@@ -65,22 +154,32 @@ const PostForm = ({ post = null, isEdit = false }) => {
       
       // Add form fields
       Object.keys(data).forEach(key => {
-        if (key === 'tags') {
-          formData.append(key, JSON.stringify(data[key].split(',').map(tag => tag.trim()).filter(tag => tag)));
+        if (key === 'publishAt') {
+          // Send the local date/time picker value as an absolute timestamp
+          if (data.status === 'scheduled') {
+            formData.append(key, new Date(data[key]).toISOString());
+          }
         } else {
           formData.append(key, data[key]);
         }
       });
       
+      formData.append('tags', JSON.stringify(tags));
+      
       // Add image if selected
       if (selectedFile) {
         formData.append('featuredImage', selectedFile);
+      } else if (isEdit && imageRemoved) {
+        formData.append('removeImage', 'true');
       }
       
       let response;
       if (isEdit) {
         response = await put(`/posts/${post._id}`, formData, {
-          headers: { 'Content-Type': 'multipart/form-data' },
+          headers: {
+            'Content-Type': 'multipart/form-data',
+            ...(version && { 'If-Match': `"${post._id}-${version}"` }),
+          },
         });
       } else {
         response = await apiPost('/posts', formData, {
@@ -88,9 +187,15 @@ const PostForm = ({ post = null, isEdit = false }) => {
         });
       }
       
+      autosave.clear();
       toast.success(`Post ${isEdit ? 'updated' : 'created'} successfully!`);
-      navigate(`/posts/${response.data._id}`);
+      navigate(`/posts/${response.data.slug || response.data._id}`);
     } catch (error) {
+      // Someone else saved first; let the user merge the two versions
+      if (error.response?.status === 409) {
+        setConflict({ mine: { ...data, tags }, theirs: error.response.data.data });
+        return;
+      }
       console.error('Error saving post:', error);
     } finally {
       setLoading(false);
@@ -100,9 +205,75 @@ const PostForm = ({ post = null, isEdit = false }) => {
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h1 className="text-2xl font-bold mb-6">
-          {isEdit ? 'Edit Post' : 'Create New Post'}
-        </h1>
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold">
+            {isEdit ? 'Edit Post' : 'Create New Post'}
+          </h1>
+          {autosave.savedAt && (
+            <span className="flex items-center gap-1 text-sm text-gray-500">
+              {autosave.status === 'offline' && <CloudOff className="w-4 h-4" />}
+              {autosave.status === 'saving'
+                ? 'Saving...'
+                : `${autosave.status === 'offline' ? 'Saved on this device' : 'Saved'} ${formatDistanceToNowStrict(autosave.savedAt)} ago`}
+            </span>
+          )}
+        </div>
+        
+        {/* Reviewer feedback, newest first */}
+        {post?.reviewNotes?.length > 0 && (
+          <div className={`mb-6 p-4 rounded-md border text-sm ${post.status === 'changes_requested' ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}`}>
+            <h2 className="flex items-center gap-2 font-medium text-gray-800 mb-2">
+              <MessageSquare className="w-4 h-4" />
+              {post.status === 'changes_requested' ? 'Changes requested' : 'Review notes'}
+            </h2>
+            <ul className="space-y-2">
+              {[...post.reviewNotes].reverse().map((review) => (
+                <li key={review._id}>
+                  <p className="text-xs text-gray-500">
+                    {review.action === 'approved' ? 'Approved' : 'Changes requested'} by {review.reviewer?.username || 'an editor'}
+                    {' · '}{format(new Date(review.createdAt), 'MMM dd, yyyy HH:mm')}
+                  </p>
+                  {review.note && <p className="whitespace-pre-wrap text-gray-800">{review.note}</p>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        
+        {conflict && (
+          <ConflictResolver
+            mine={conflict.mine}
+            theirs={conflict.theirs}
+            categories={categories}
+            onResolve={resolveConflict}
+            onCancel={() => setConflict(null)}
+          />
+        )}
+        
+        {autosave.recoverable && (
+          <div className="flex items-center justify-between gap-4 mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+            <p className="text-yellow-800">
+              You have unsaved changes from {formatDistanceToNowStrict(new Date(autosave.recoverable.savedAt))} ago.
+            </p>
+            <div className="flex gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={recoverDraft}
+                className="flex items-center gap-1 bg-yellow-600 text-white px-3 py-1 rounded-md hover:bg-yellow-700"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Recover
+              </button>
+              <button
+                type="button"
+                onClick={autosave.discard}
+                className="px-3 py-1 text-yellow-800 hover:text-yellow-900"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
         
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
           {/* Title */}
@@ -137,7 +308,7 @@ const PostForm = ({ post = null, isEdit = false }) => {
               <option value="">Select a category</option>
               {categories.map((category) => (
                 <option key={category._id} value={category._id}>
-                  {category.name}
+                  {'\u00A0\u00A0'.repeat(category.depth || 0)}{category.name}
                 </option>
               ))}
             </select>
@@ -175,13 +346,13 @@ const PostForm = ({ post = null, isEdit = false }) => {
                     <span className="text-blue-600 hover:text-blue-500">Upload an image</span>
                     <input
                       type="file"
-                      accept="image/*"
+                      accept={ACCEPTED_IMAGE_TYPES.join(',')}
                       onChange={handleImageChange}
                       className="hidden"
                     />
                   </label>
                 </div>
-                <p className="text-xs text-gray-500 mt-1">PNG, JPG, GIF up to 5MB</p>
+                <p className="text-xs text-gray-500 mt-1">PNG, JPG, GIF, WebP up to 5MB</p>
               </div>
             )}
           </div>
@@ -206,17 +377,53 @@ const PostForm = ({ post = null, isEdit = false }) => {
 
           {/* Content */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Content *
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Content * <span className="font-normal text-gray-500">(Markdown)</span>
+              </label>
+              <div className="flex rounded-md border border-gray-300 text-sm overflow-hidden">
+                <button
+                  type="button"
+                  onClick={() => setPreviewing(false)}
+                  className={`flex items-center gap-1 px-3 py-1 ${!previewing ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <Pencil className="w-3 h-3" />
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={showPreview}
+                  disabled={!content}
+                  className={`flex items-center gap-1 px-3 py-1 disabled:opacity-50 ${previewing ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <Eye className="w-3 h-3" />
+                  Preview
+                </button>
+              </div>
+            </div>
+            {previewing && (
+              <div className="min-h-[18rem] px-3 py-2 border border-gray-300 rounded-md">
+                {preview ? (
+                  <>
+                    <p className="text-xs text-gray-500 mb-3">
+                      {preview.wordCount} words · {preview.readingTime} min read
+                    </p>
+                    {/* Sanitized on the server */}
+                    <div className="prose max-w-none" dangerouslySetInnerHTML={{ __html: preview.html }} />
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-500">Rendering preview...</p>
+                )}
+              </div>
+            )}
             <textarea
               {...register('content', {
                 required: 'Content is required',
                 minLength: { value: 10, message: 'Content must be at least 10 characters' },
               })}
               rows={12}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Write your post content here..."
+              className={`w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent ${previewing ? 'hidden' : ''}`}
+              placeholder="Write your post content here. Markdown is supported: **bold**, lists, tables, ```code``` and footnotes[^1]."
             />
             {errors.content && (
               <p className="mt-1 text-sm text-red-600">{errors.content.message}</p>
@@ -228,13 +435,8 @@ const PostForm = ({ post = null, isEdit = false }) => {
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Tags
             </label>
-            <input
-              type="text"
-              {...register('tags')}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Enter tags separated by commas"
-            />
-            <p className="mt-1 text-sm text-gray-500">Separate tags with commas</p>
+            <TagInput value={tags} onChange={setTags} />
+            <p className="mt-1 text-sm text-gray-500">Press Enter or comma to add a tag</p>
           </div>
 
           {/* Status */}
@@ -247,10 +449,37 @@ const PostForm = ({ post = null, isEdit = false }) => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             >
               <option value="draft">Draft</option>
-              <option value="published">Published</option>
+              <option value="in_review">Submit for review</option>
+              {post?.status === 'changes_requested' && <option value="changes_requested" disabled>Changes requested</option>}
+              {/* Keep the current status selectable even without permission to publish */}
+              {(can('post:publish') || post?.status === 'scheduled') && <option value="scheduled">Scheduled</option>}
+              {(can('post:publish') || post?.status === 'published') && <option value="published">Published</option>}
             </select>
           </div>
 
+          {/* Publish Date */}
+          {status === 'scheduled' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Publish At *
+              </label>
+              <input
+                type="datetime-local"
+                {...register('publishAt', {
+                  validate: (value) => {
+                    if (!value) return 'Publish date is required for scheduled posts';
+                    return new Date(value) > new Date() || 'Publish date must be in the future';
+                  },
+                })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              {errors.publishAt && (
+                <p className="mt-1 text-sm text-red-600">{errors.publishAt.message}</p>
+              )}
+              <p className="mt-1 text-sm text-gray-500">The post goes live automatically at this time</p>
+            </div>
+          )}
+
           {/* Submit Buttons */}
           <div className="flex gap-4">
             <button
@@ -271,6 +500,12 @@ const PostForm = ({ post = null, isEdit = false }) => {
           </div>
         </form>
       </div>
+      
+      {isEdit && post && (
+        <div className="mt-4">
+          <PostHistory post={post} version={version} onRestore={applyRevision} />
+        </div>
+      )}
     </div>
   );
 };
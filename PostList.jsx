@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useApi } from '../../hooks/useApi';
-import { Search, Filter, Calendar, User, Eye, Heart } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useLiveEvents } from '../../hooks/useLiveEvents';
+import { Search, Filter, Calendar, User, Eye, Heart, ArrowUp } from 'lucide-react';
 import { format } from 'date-fns';
 import LoadingSpinner from '../UI/LoadingSpinner';
 import Pagination from '../UI/Pagination';
+import BookmarkButton from './BookmarkButton';
 
 const PostList = () => {
   const [posts, setPosts] = useState([]);
@@ -14,25 +17,53 @@ const PostList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
   const [loading, setLoading] = useState(true);
+  const [feed, setFeed] = useState('all');
+  const [bookmarkedIds, setBookmarkedIds] = useState([]);
+  const [newPostIds, setNewPostIds] = useState([]);
   
+  const { user } = useAuth();
   const { get } = useApi();
 
+  // The Following feed only exists for signed-in users
+  const showFollowing = Boolean(user) && feed === 'following';
+
   useEffect(() => {
     fetchPosts();
     fetchCategories();
-  }, [currentPage, searchTerm, selectedCategory]);
+  }, [currentPage, searchTerm, selectedCategory, showFollowing]);
+
+  useEffect(() => {
+    if (user) {
+      fetchBookmarkedIds();
+    }
+  }, [user]);
+
+  // Count posts published since the list was loaded
+  useLiveEvents('/posts/events', {
+    'post-published': (post) => {
+      setNewPostIds((ids) => (ids.includes(post._id) ? ids : [...ids, post._id]));
+    },
+  });
 
   const fetchPosts = async () => {
     setLoading(true);
     try {
+      if (showFollowing) {
+        const response = await get(`/feed?page=${currentPage}&limit=6`);
+        setPosts(response.data);
+        setTotalPages(response.pagination.total);
+        return;
+      }
+
       const params = new URLSearchParams({
         page: currentPage,
         limit: 6,
-        ...(searchTerm && { search: searchTerm }),
+        ...(searchTerm && { q: searchTerm }),
         ...(selectedCategory && { category: selectedCategory }),
       });
       
-      const response = await get(`/posts?${params}`);
+      // Searches go to the ranked search endpoint, which also returns highlights
+      const response = await get(searchTerm ? `/posts/search?${params}` : `/posts?${params}`);
       setPosts(response.data);
       setTotalPages(response.pagination.total);
     } catch (error) {
@@ -51,6 +82,30 @@ const PostList = () => {
     }
   };
 
+  const fetchBookmarkedIds = async () => {
+    try {
+      const response = await get('/users/me/bookmarks/ids');
+      setBookmarkedIds(response.data);
+    } catch (error) {
+      console.error('Error fetching bookmarks:', error);
+    }
+  };
+
+  const handleBookmarkChange = (postId, bookmarked) => {
+    setBookmarkedIds(bookmarked
+      ? [...bookmarkedIds, postId]
+      : bookmarkedIds.filter((id) => id !== postId));
+  };
+
+  const showNewPosts = () => {
+    setNewPostIds([]);
+    if (currentPage === 1) {
+      fetchPosts();
+    } else {
+      setCurrentPage(1);
+    }
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     setCurrentPage(1);
@@ -62,45 +117,91 @@ const PostList = () => {
     setCurrentPage(1);
   };
 
+  const handleFeedChange = (value) => {
+    setFeed(value);
+    setCurrentPage(1);
+  };
+
   if (loading) {
     return <LoadingSpinner />;
   }
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Following / All switch */}
+      {user && (
+        <div className="flex gap-2 mb-6 border-b border-gray-200">
+          {[['following', 'Following'], ['all', 'All']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => handleFeedChange(value)}
+              className={`px-3 py-2 text-sm -mb-px border-b-2 ${
+                feed === value
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-600 hover:text-gray-800'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Search and Filter Section */}
-      <div className="mb-8">
-        <div className="flex flex-col md:flex-row gap-4 mb-6">
-          <form onSubmit={handleSearch} className="flex-1">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-              <input
-                type="text"
-                placeholder="Search posts..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
-            </div>
-          </form>
+      {!showFollowing && (
+        <div className="mb-8">
+          <div className="flex flex-col md:flex-row gap-4 mb-6">
+            <form onSubmit={handleSearch} className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <input
+                  type="text"
+                  placeholder="Search posts..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </form>
           
-          <div className="flex items-center gap-2">
-            <Filter className="text-gray-400 w-5 h-5" />
-            <select
-              value={selectedCategory}
-              onChange={(e) => handleCategoryChange(e.target.value)}
-              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            >
-              <option value="">All Categories</option>
-              {categories.map((category) => (
-                <option key={category._id} value={category._id}>
-                  {category.name}
-                </option>
-              ))}
-            </select>
+            <div className="flex items-center gap-2">
+              <Filter className="text-gray-400 w-5 h-5" />
+              <select
+                value={selectedCategory}
+                onChange={(e) => handleCategoryChange(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">All Categories</option>
+                {categories.map((category) => (
+                  <option key={category._id} value={category._id}>
+                    {'\u00A0\u00A0'.repeat(category.depth || 0)}{category.name}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
-      </div>
+      )}
+
+      {newPostIds.length > 0 && !showFollowing && !searchTerm && (
+        <div className="flex justify-center mb-6">
+          <button
+            type="button"
+            onClick={showNewPosts}
+            className="flex items-center gap-2 bg-blue-600 text-white text-sm py-2 px-4 rounded-full shadow hover:bg-blue-700"
+          >
+            <ArrowUp className="w-4 h-4" />
+            {newPostIds.length} new {newPostIds.length === 1 ? 'post' : 'posts'}
+          </button>
+        </div>
+      )}
+
+      {showFollowing && posts.length === 0 && (
+        <p className="text-center text-gray-500 py-12">
+          Posts from authors, categories and tags you follow will show up here.
+        </p>
+      )}
 
       {/* Posts Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
@@ -108,7 +209,8 @@ const PostList = () => {
           <article key={post._id} className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
             {post.featuredImage && (
               <img
-                src={post.featuredImage}
+                src={post.featuredImageVariants?.thumbnail || post.featuredImage}
+                loading="lazy"
                 alt={post.title}
                 className="w-full h-48 object-cover"
               />
@@ -120,26 +222,40 @@ const PostList = () => {
                   {post.category.name}
                 </span>
                 <Calendar className="w-4 h-4" />
-                <span>{format(new Date(post.createdAt), 'MMM dd, yyyy')}</span>
+                <span>{format(new Date(post.publishedAt || post.createdAt), 'MMM dd, yyyy')}</span>
               </div>
               
               <h2 className="text-xl font-semibold mb-2 line-clamp-2">
                 <Link
-                  to={`/posts/${post._id}`}
+                  to={`/posts/${post.slug || post._id}`}
                   className="hover:text-blue-600 transition-colors"
                 >
-                  {post.title}
+                  {post.highlights ? (
+                    <span dangerouslySetInnerHTML={{ __html: post.highlights.title }} />
+                  ) : (
+                    post.title
+                  )}
                 </Link>
               </h2>
               
-              <p className="text-gray-600 mb-4 line-clamp-3">
-                {post.excerpt}
-              </p>
+              {/* Highlights are HTML-escaped on the server; only <mark> tags are added */}
+              {post.highlights ? (
+                <p
+                  className="text-gray-600 mb-4 line-clamp-3"
+                  dangerouslySetInnerHTML={{ __html: post.highlights.snippet }}
+                />
+              ) : (
+                <p className="text-gray-600 mb-4 line-clamp-3">
+                  {post.excerpt}
+                </p>
+              )}
               
               <div className="flex items-center justify-between">
                 <div className="flex items-center gap-2 text-sm text-gray-500">
                   <User className="w-4 h-4" />
-                  <span>{post.author.username}</span>
+                  <Link to={`/users/${post.author.username}`} className="hover:text-blue-600">
+                    {post.author.username}
+                  </Link>
                 </div>
                 
                 <div className="flex items-center gap-4 text-sm text-gray-500">
@@ -151,6 +267,13 @@ const PostList = () => {
                     <Heart className="w-4 h-4" />
                     <span>{post.likes.length}</span>
                   </div>
+                  {user && (
+                    <BookmarkButton
+                      postId={post._id}
+                      bookmarked={bookmarkedIds.includes(post._id)}
+                      onChange={(bookmarked) => handleBookmarkChange(post._id, bookmarked)}
+                    />
+                  )}
                 </div>
               </div>
             </div>
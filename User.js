@@ -1,5 +1,20 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, LEGACY_ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+// Parts of a user anyone may see; never the email address
+const PUBLIC_FIELDS = 'username avatar avatarVariants bio website socialLinks createdAt';
+
+const RESERVED_USERNAMES = ['me', 'roles'];
+
+// Empty, or an http(s) URL
+const HTTP_URL = /^(https?:\/\/[^\s]+)?$/i;
+
+const TOKEN_LIFETIMES = {
+  emailVerification: 24 * 60 * 60 * 1000,
+  resetPassword: 60 * 60 * 1000
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -8,7 +23,12 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
     minlength: [3, 'Username must be at least 3 characters'],
-    maxlength: [30, 'Username cannot exceed 30 characters']
+    maxlength: [30, 'Username cannot exceed 30 characters'],
+    // These would clash with /api/users/<name> routes
+    validate: {
+      validator: (value) => !RESERVED_USERNAMES.includes(value.toLowerCase()),
+      message: 'This username is not available'
+    }
   },
   email: {
     type: String,
@@ -24,21 +44,99 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: ROLES,
+    default: DEFAULT_ROLE
   },
   avatar: {
     type: String,
     default: ''
+  },
+  // Resized avatar images and their storage keys
+  avatarVariants: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  avatarKeys: {
+    type: [String],
+    select: false
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot exceed 500 characters'],
+    default: ''
+  },
+  website: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [HTTP_URL, 'Website must be an http(s) URL']
+  },
+  socialLinks: {
+    type: [{
+      _id: false,
+      label: {
+        type: String,
+        trim: true,
+        required: [true, 'Link label is required'],
+        maxlength: [30, 'Link label cannot exceed 30 characters']
+      },
+      url: {
+        type: String,
+        trim: true,
+        required: [true, 'Link URL is required'],
+        match: [HTTP_URL, 'Links must be http(s) URLs']
+      }
+    }],
+    validate: [(links) => links.length <= 5, 'You can add up to 5 links']
+  },
+  // In-app notifications the user wants, by type
+  notificationPreferences: {
+    comment: { type: Boolean, default: true },
+    reply: { type: Boolean, default: true },
+    like: { type: Boolean, default: true },
+    mention: { type: Boolean, default: true },
+    published: { type: Boolean, default: true }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens, stored hashed
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Move accounts with a role from before permissions existed onto its
+// replacement whenever they are saved
+userSchema.pre('validate', function(next) {
+  if (LEGACY_ROLES[this.role]) {
+    this.role = LEGACY_ROLES[this.role];
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
@@ -49,4 +147,33 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Create a verification or reset token; only its hash is stored on the user
+userSchema.methods.createToken = function(type) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this[`${type}Token`] = this.constructor.hashToken(token);
+  this[`${type}Expire`] = new Date(Date.now() + TOKEN_LIFETIMES[type]);
+
+  return token;
+};
+
+userSchema.methods.clearToken = function(type) {
+  this[`${type}Token`] = undefined;
+  this[`${type}Expire`] = undefined;
+};
+
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Find the user holding an unexpired token of the given type
+userSchema.statics.findByToken = function(type, token) {
+  return this.findOne({
+    [`${type}Token`]: this.hashToken(token),
+    [`${type}Expire`]: { $gt: new Date() }
+  });
+};
+
+userSchema.statics.PUBLIC_FIELDS = PUBLIC_FIELDS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { hasPermission } = require('../utils/policy');
 
 exports.protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -14,15 +16,48 @@ exports.protect = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
   
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return next(new ErrorResponse('Not authorized to access this route', 401));
   }
+  
+  // Access tokens die with their session, so logout and revocation take effect immediately
+  if (!decoded.sid || !(await Session.exists({ _id: decoded.sid, revokedAt: null }))) {
+    return next(new ErrorResponse('Session has been revoked', 401));
+  }
+  
+  req.user = await User.findById(decoded.id);
+  req.sessionId = decoded.sid;
+  
+  if (!req.user) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+  
+  next();
 });
 
+// EventSource can't send headers, so event streams pass the access token as
+// ?access_token=. Only use this on routes that don't change anything, since
+// URLs end up in logs.
+exports.queryToken = (req, res, next) => {
+  if (req.query.access_token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Identify the user when a token is sent, but let anonymous requests through.
+// A bad or expired token still gets a 401, so clients refresh it rather
+// than silently seeing the public view.
+exports.optionalAuth = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return exports.protect(req, res, next);
+  }
+  next();
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -30,4 +65,23 @@ exports.authorize = (...roles) => {
     }
     next();
   };
+};
+
+// Require every one of the named permissions, e.g. permit('category:manage')
+exports.permit = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find((permission) => !hasPermission(req.user, permission));
+    if (missing) {
+      return next(new ErrorResponse(`Missing permission ${missing} to access this route`, 403));
+    }
+    next();
+  };
+};
+
+// Unverified accounts can browse and write drafts, but not take part in discussions
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(new ErrorResponse('Please verify your email address first', 403));
+  }
+  next();
 };
\ No newline at end of file
@@ -1,16 +1,83 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { sendMail } = require('../utils/mailer');
+const loginThrottle = require('../utils/loginThrottle');
+const { permissionsFor } = require('../config/permissions');
 const { validateRegister, validateLogin } = require('../validation/authValidation');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+const REFRESH_COOKIE = 'refreshToken';
+const DAY = 24 * 60 * 60 * 1000;
+
+// A rotated refresh token may still arrive from a parallel request (e.g. a
+// second tab) for a short while; only replays after that count as theft.
+const REUSE_GRACE_PERIOD = 30 * 1000;
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+};
+
+const setRefreshCookie = (res, token, expires) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth',
+    expires,
   });
 };
 
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: '/api/auth' });
+};
+
+const getRefreshToken = (req) => {
+  return (req.cookies && req.cookies[REFRESH_COOKIE]) || req.body.refreshToken;
+};
+
+const clientUrl = (route) => `${process.env.CLIENT_URL || 'http://localhost:5173'}${route}`;
+
+// Email a fresh verification link. Mail failures are logged rather than
+// failing the request; the user can ask for another link.
+const sendVerificationEmail = async (user) => {
+  const token = user.createToken('emailVerification');
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.username},\n\nPlease verify your email address by opening this link:\n\n` +
+        `${clientUrl(`/verify-email/${token}`)}\n\nThe link expires in 24 hours.`,
+    });
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+// Start a session for the user and return its access token
+const createSession = async (user, req, res) => {
+  const refreshToken = Session.generateToken();
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: Session.hashToken(refreshToken),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + days * DAY),
+  });
+
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+
+  return generateToken(user._id, session._id);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -38,7 +105,9 @@ exports.register = asyncHandler(async (req, res, next) => {
     password,
   });
 
-  const token = generateToken(user._id);
+  await sendVerificationEmail(user);
+
+  const token = await createSession(user, req, res);
 
   res.status(201).json({
     success: true,
@@ -49,6 +118,8 @@ exports.register = asyncHandler(async (req, res, next) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: [...permissionsFor(user.role)],
+        emailVerified: user.emailVerified,
       },
     },
   });
@@ -65,21 +136,27 @@ exports.login = asyncHandler(async (req, res, next) => {
 
   const { email, password } = req.body;
 
+  // Refuse while the account or IP is locked out after repeated failures
+  const retryAfter = await loginThrottle.getLockout(email, req.ip);
+  if (retryAfter > 0) {
+    res.set('Retry-After', retryAfter);
+    return next(new ErrorResponse('Too many failed login attempts, please try again later', 429));
+  }
+
   // Check for user
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user) {
-    return next(new ErrorResponse('Invalid credentials', 401));
-  }
-
   // Check if password matches
-  const isMatch = await user.matchPassword(password);
+  const isMatch = user ? await user.matchPassword(password) : false;
 
   if (!isMatch) {
+    await loginThrottle.recordFailure(email, req.ip);
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  const token = generateToken(user._id);
+  await loginThrottle.recordSuccess(email);
+
+  const token = await createSession(user, req, res);
 
   res.status(200).json({
     success: true,
@@ -90,11 +167,284 @@ exports.login = asyncHandler(async (req, res, next) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: [...permissionsFor(user.role)],
+        emailVerified: user.emailVerified,
       },
     },
   });
 });
 
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie)
+exports.refresh = asyncHandler(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (!refreshToken) {
+    return next(new ErrorResponse('No refresh token provided', 401));
+  }
+
+  const hash = Session.hashToken(refreshToken);
+  let session = await Session.findOne({ tokenHash: hash });
+  let rotate = true;
+
+  if (!session) {
+    session = await Session.findOne({ previousTokenHash: hash });
+
+    if (!session) {
+      clearRefreshCookie(res);
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    // A replayed token outside the grace period means it was stolen
+    if (Date.now() - session.lastUsedAt.getTime() > REUSE_GRACE_PERIOD) {
+      session.revokedAt = new Date();
+      await session.save();
+      clearRefreshCookie(res);
+      return next(new ErrorResponse('Refresh token has already been used', 401));
+    }
+
+    // The parallel request already rotated the token; just issue an access token
+    rotate = false;
+  }
+
+  if (!session.isActive()) {
+    clearRefreshCookie(res);
+    return next(new ErrorResponse('Session has expired', 401));
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 401));
+  }
+
+  if (rotate) {
+    // Rotate only if no parallel request got there first; the one that
+    // loses takes the grace path, so only one new token is handed out
+    const nextToken = Session.generateToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: hash },
+      {
+        $set: {
+          previousTokenHash: hash,
+          tokenHash: Session.hashToken(nextToken),
+          lastUsedAt: new Date(),
+          ip: req.ip,
+        },
+      },
+      { new: true }
+    );
+
+    if (rotated) {
+      setRefreshCookie(res, nextToken, rotated.expiresAt);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      token: generateToken(user._id, session._id),
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        permissions: [...permissionsFor(user.role)],
+        emailVerified: user.emailVerified,
+      },
+    },
+  });
+});
+
+// @desc    Log out and revoke the current session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token cookie)
+exports.logout = asyncHandler(async (req, res, next) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (refreshToken) {
+    await Session.updateOne(
+      { tokenHash: Session.hashToken(refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return next(new ErrorResponse('Session not found', 404));
+  }
+
+  session.revokedAt = new Date();
+  await session.save();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res, next) => {
+  const result = await Session.updateMany(
+    { user: req.user.id, _id: { $ne: req.sessionId }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { revoked: result.modifiedCount },
+  });
+});
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  if (!req.body.email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  const user = await User.findOne({ email: String(req.body.email).toLowerCase() });
+
+  // Same response whether or not the account exists, so emails can't be probed
+  const response = {
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent',
+  };
+
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  const token = user.createToken('resetPassword');
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\nYou can choose a new password here:\n\n` +
+        `${clientUrl(`/reset-password/${token}`)}\n\nThe link expires in 1 hour. ` +
+        'If you did not ask for this, you can ignore this email.',
+    });
+  } catch (error) {
+    user.clearToken('resetPassword');
+    await user.save({ validateBeforeSave: false });
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password || password.length < 6) {
+    return next(new ErrorResponse('Password must be at least 6 characters', 400));
+  }
+
+  const user = await User.findByToken('resetPassword', req.params.token);
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired reset token', 400));
+  }
+
+  user.password = password;
+  user.clearToken('resetPassword');
+  // The reset link proves the user owns the address
+  user.emailVerified = true;
+  await user.save();
+
+  // Sign out everywhere in case the old password was compromised
+  await Session.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset, please log in',
+  });
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const user = await User.findByToken('emailVerification', req.params.token);
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired verification token', 400));
+  }
+
+  user.emailVerified = true;
+  user.clearToken('emailVerification');
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified',
+  });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  if (req.user.emailVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -103,7 +453,10 @@ exports.getMe = asyncHandler(async (req, res, next) => {
 
   res.status(200).json({
     success: true,
-    data: user,
+    data: {
+      ...user.toObject(),
+      permissions: [...permissionsFor(user.role)],
+    },
   });
 });
 
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Link, NavLink, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { BookOpen, FileText, LogOut, PenSquare, User } from 'lucide-react';
+import NotificationBell from '../notifications/NotificationBell';
+
+const linkClass = ({ isActive }) => `flex items-center gap-1 text-sm ${
+  isActive ? 'text-blue-600' : 'text-gray-600 hover:text-blue-600'
+}`;
+
+// Site header: main navigation, and for signed-in users their pages, the
+// notification bell and logging out
+const Navbar = () => {
+  const { user, logout, can } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/posts');
+  };
+
+  return (
+    <header className="bg-white shadow-sm">
+      <nav className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+        <Link to="/posts" className="text-xl font-bold text-gray-900">
+          MERN Blog
+        </Link>
+
+        {user ? (
+          <div className="flex items-center gap-6">
+            {can('post:create') && (
+              <NavLink to="/create-post" className={linkClass}>
+                <PenSquare className="w-4 h-4" />
+                Write
+              </NavLink>
+            )}
+            <NavLink to="/my-posts" className={linkClass}>
+              <FileText className="w-4 h-4" />
+              My posts
+            </NavLink>
+            <NavLink to="/reading-list" className={linkClass}>
+              <BookOpen className="w-4 h-4" />
+              Reading list
+            </NavLink>
+            <NavLink to={`/users/${encodeURIComponent(user.username)}`} className={linkClass}>
+              <User className="w-4 h-4" />
+              {user.username}
+            </NavLink>
+            <NotificationBell />
+            <button
+              type="button"
+              onClick={handleLogout}
+              title="Log out"
+              className="text-gray-500 hover:text-red-600"
+            >
+              <LogOut className="w-4 h-4" />
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center gap-4">
+            <NavLink to="/login" className={linkClass}>Log in</NavLink>
+            <Link to="/register" className="text-sm bg-blue-600 text-white py-1 px-3 rounded-md hover:bg-blue-700">
+              Sign up
+            </Link>
+          </div>
+        )}
+      </nav>
+    </header>
+  );
+};
+
+export default Navbar;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationService } from '../../services/api';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell } from 'lucide-react';
+
+const POLL_INTERVAL = 60 * 1000;
+
+const describe = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const title = notification.post?.title || 'a post';
+  switch (notification.type) {
+    case 'comment':
+      return `${actor} commented on "${title}"`;
+    case 'reply':
+      return `${actor} replied to your comment on "${title}"`;
+    case 'like':
+      return `${actor} liked "${title}"`;
+    case 'mention':
+      return `${actor} mentioned you on "${title}"`;
+    case 'published':
+      return `${actor} published "${title}"`;
+    default:
+      return title;
+  }
+};
+
+// Header bell with the unread count and a dropdown of recent notifications
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const navigate = useNavigate();
+
+  const fetchUnreadCount = async () => {
+    try {
+      const response = await notificationService.getUnreadCount();
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notification count:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    const onClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', onClick);
+    return () => document.removeEventListener('mousedown', onClick);
+  }, [open]);
+
+  const toggle = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+    setOpen(true);
+    setLoading(true);
+    try {
+      const response = await notificationService.getNotifications(1, 10);
+      setNotifications(response.data);
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.readAt) {
+      try {
+        const response = await notificationService.markRead(notification._id);
+        setUnreadCount(response.data.unreadCount);
+        setNotifications(notifications.map((item) => (
+          item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+        )));
+      } catch (error) {
+        console.error('Error marking notification as read:', error);
+      }
+    }
+    if (notification.post) {
+      const hash = notification.comment ? `#comment-${notification.comment._id}` : '';
+      navigate(`/posts/${notification.post.slug || notification.post._id}${hash}`);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setUnreadCount(0);
+      setNotifications(notifications.map((item) => ({ ...item, readAt: item.readAt || new Date().toISOString() })));
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={toggle}
+        aria-label={`Notifications${unreadCount ? ` (${unreadCount} unread)` : ''}`}
+        className="relative p-2 text-gray-600 hover:text-blue-600"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+            <span className="font-medium text-sm">Notifications</span>
+            {unreadCount > 0 && (
+              <button type="button" onClick={markAllRead} className="text-xs text-blue-600 hover:text-blue-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">Loading...</p>
+          ) : notifications.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">You're all caught up.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    onClick={() => openNotification(notification)}
+                    className={`w-full text-left px-4 py-3 text-sm hover:bg-gray-50 ${notification.readAt ? 'text-gray-600' : 'bg-blue-50 text-gray-900'}`}
+                  >
+                    <p className="line-clamp-2">{describe(notification)}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
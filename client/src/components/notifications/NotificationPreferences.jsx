@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { notificationService } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const options = [
+  { type: 'comment', label: 'Comments on my posts' },
+  { type: 'reply', label: 'Replies to my comments' },
+  { type: 'like', label: 'Likes on my posts' },
+  { type: 'mention', label: 'Mentions of @me' },
+  { type: 'published', label: 'New posts from authors I follow' },
+];
+
+// Checkboxes for the types of notification the signed-in user receives
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const response = await notificationService.getPreferences();
+        setPreferences(response.data);
+      } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+      }
+    };
+    fetchPreferences();
+  }, []);
+
+  const toggle = async (type) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [type]: !preferences[type] });
+    try {
+      const response = await notificationService.updatePreferences({ [type]: !previous[type] });
+      setPreferences(response.data);
+    } catch (error) {
+      setPreferences(previous);
+      toast.error('Could not save notification settings');
+    }
+  };
+
+  if (!preferences) {
+    return null;
+  }
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-700 mb-2">Notify me about</legend>
+      <div className="space-y-2">
+        {options.map(({ type, label }) => (
+          <label key={type} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={preferences[type]}
+              onChange={() => toggle(type)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+};
+
+export default NotificationPreferences;
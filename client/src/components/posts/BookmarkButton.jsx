@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { bookmarkService } from '../../services/api';
+import toast from 'react-hot-toast';
+import { Bookmark } from 'lucide-react';
+
+// Toggles a bookmark on a post; `onChange` receives the new bookmarked state
+const BookmarkButton = ({ postId, bookmarked = false, onChange, className = '' }) => {
+  const [saved, setSaved] = useState(bookmarked);
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    setSaved(bookmarked);
+  }, [bookmarked]);
+
+  const toggle = async () => {
+    setPending(true);
+    try {
+      const response = await bookmarkService.toggleBookmark(postId);
+      setSaved(response.data.bookmarked);
+      onChange?.(response.data.bookmarked);
+      toast.success(response.data.bookmarked ? 'Saved to your reading list' : 'Removed from your reading list');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not update bookmark');
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={toggle}
+      disabled={pending}
+      title={saved ? 'Remove bookmark' : 'Bookmark'}
+      aria-pressed={saved}
+      className={`text-gray-500 hover:text-blue-600 disabled:opacity-50 ${className}`}
+    >
+      <Bookmark className={`w-4 h-4 ${saved ? 'fill-current text-blue-600' : ''}`} />
+    </button>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { AlertTriangle } from 'lucide-react';
+
+const fields = [
+  { name: 'title', label: 'Title' },
+  { name: 'category', label: 'Category' },
+  { name: 'excerpt', label: 'Excerpt' },
+  { name: 'content', label: 'Content' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'status', label: 'Status' },
+];
+
+// Comparable value of a field, whether it comes from the form or the server
+const valueOf = (field, source) => {
+  const value = source[field];
+  if (field === 'category') {
+    return value?._id || value || '';
+  }
+  if (field === 'tags') {
+    return (value || []).join(', ');
+  }
+  return value || '';
+};
+
+// Shown when saving fails because someone else saved the post first. Lists
+// the fields that differ side by side and lets the user pick a version of
+// each; `onResolve` receives the chosen values.
+const ConflictResolver = ({ mine, theirs, categories, onResolve, onCancel }) => {
+  const conflicts = fields.filter(({ name }) => valueOf(name, mine) !== valueOf(name, theirs));
+  const [choices, setChoices] = useState(
+    Object.fromEntries(conflicts.map(({ name }) => [name, 'mine']))
+  );
+
+  const display = (field, source) => {
+    if (field === 'category') {
+      const id = valueOf(field, source);
+      return categories.find((category) => category._id === id)?.name || source.category?.name || '—';
+    }
+    return valueOf(field, source) || '—';
+  };
+
+  const resolve = () => {
+    const values = Object.fromEntries(conflicts.map(({ name }) => {
+      if (choices[name] === 'mine') {
+        return [name, mine[name]];
+      }
+      return [name, name === 'category' ? valueOf(name, theirs) : theirs[name]];
+    }));
+    onResolve(values);
+  };
+
+  return (
+    <div className="mb-6 border border-orange-200 rounded-md">
+      <div className="flex items-start gap-3 p-4 bg-orange-50 border-b border-orange-200">
+        <AlertTriangle className="w-5 h-5 text-orange-600 shrink-0" />
+        <div className="text-sm text-orange-800">
+          <p className="font-medium">
+            {theirs.author?.username || 'Someone'} saved this post
+            {theirs.updatedAt && ` at ${format(new Date(theirs.updatedAt), 'HH:mm')}`} while you were editing.
+          </p>
+          <p>Choose which version of each changed field to keep.</p>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {conflicts.length === 0 && (
+          <p className="text-sm text-gray-500">The changes don't touch any of the fields you edited.</p>
+        )}
+
+        {conflicts.map(({ name, label }) => (
+          <div key={name}>
+            <h3 className="text-sm font-medium text-gray-700 mb-1">{label}</h3>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              {[['mine', 'Your version', mine], ['theirs', 'Saved version', theirs]].map(([choice, heading, source]) => (
+                <label
+                  key={choice}
+                  className={`block p-2 rounded border cursor-pointer ${choices[name] === choice ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+                >
+                  <span className="flex items-center gap-2 text-xs text-gray-500 mb-1">
+                    <input
+                      type="radio"
+                      name={`conflict-${name}`}
+                      checked={choices[name] === choice}
+                      onChange={() => setChoices({ ...choices, [name]: choice })}
+                    />
+                    {heading}
+                  </span>
+                  <pre className="whitespace-pre-wrap max-h-64 overflow-y-auto font-sans">
+                    {display(name, source)}
+                  </pre>
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={resolve}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+          >
+            Save with these choices
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="py-2 px-4 text-gray-600 hover:text-gray-800"
+          >
+            Keep editing
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictResolver;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { useApi } from '../../hooks/useApi';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { History, RotateCcw, X } from 'lucide-react';
+
+const fieldLabels = {
+  title: 'Title',
+  content: 'Content',
+  excerpt: 'Excerpt',
+  tags: 'Tags',
+  category: 'Category',
+};
+
+const formatValue = (field, value) => {
+  if (field === 'tags') {
+    return (value || []).join(', ') || '—';
+  }
+  if (field === 'category') {
+    return value?.name || 'Deleted category';
+  }
+  return value || '—';
+};
+
+// `version` is the version of the post the user is looking at, sent as
+// If-Match so a restore can't overwrite changes they haven't seen
+const PostHistory = ({ post, version = post.version, onRestore }) => {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const { user, can } = useAuth();
+  const { get, post: apiPost } = useApi();
+
+  const canView = user && can('post:edit', post);
+  // Live posts can only be changed by those who can publish
+  const canRestore = canView && (!['published', 'scheduled'].includes(post.status) || can('post:publish'));
+
+  useEffect(() => {
+    if (open) {
+      fetchRevisions();
+    }
+  }, [open]);
+
+  const fetchRevisions = async () => {
+    setLoading(true);
+    try {
+      const response = await get(`/posts/${post._id}/revisions`);
+      setRevisions(response.data);
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Compare the selected revision with the latest one
+  const selectRevision = async (revision) => {
+    setSelected(revision);
+    setDiff(null);
+    try {
+      const response = await get(`/posts/${post._id}/revisions/diff?from=${revision._id}`);
+      setDiff(response.data);
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+    }
+  };
+
+  const restore = async (revision) => {
+    if (!window.confirm(`Restore version ${revision.version}? The current text is kept in the history.`)) {
+      return;
+    }
+    try {
+      const response = await apiPost(`/posts/${post._id}/revisions/${revision._id}/restore`, {}, {
+        headers: { 'If-Match': `"${post._id}-${version}"` },
+      });
+      toast.success(`Restored version ${revision.version}`);
+      setSelected(null);
+      setDiff(null);
+      fetchRevisions();
+      onRestore?.(response.data);
+    } catch (error) {
+      if (error.response?.status === 409) {
+        toast.error('This post was changed by someone else; reload it before restoring');
+        return;
+      }
+      console.error('Error restoring revision:', error);
+    }
+  };
+
+  if (!canView) {
+    return null;
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600"
+      >
+        <History className="w-4 h-4" />
+        History
+      </button>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold flex items-center gap-2">
+          <History className="w-5 h-5" />
+          Revision History
+        </h2>
+        <button type="button" onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-600">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {revisions.map((revision, index) => (
+              <li
+                key={revision._id}
+                onClick={() => selectRevision(revision)}
+                className={`p-3 cursor-pointer hover:bg-gray-50 ${selected?._id === revision._id ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium">
+                    Version {revision.version}
+                    {index === 0 && <span className="ml-2 text-xs text-green-600">current</span>}
+                  </span>
+                  <span className="text-gray-500">{format(new Date(revision.createdAt), 'MMM dd, yyyy HH:mm')}</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  by {revision.editor?.username || 'unknown'}
+                  {revision.restoredFrom && ' (restored)'}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          <div className="md:col-span-2">
+            {!selected && (
+              <p className="text-sm text-gray-500">Select a version to compare it with the current one.</p>
+            )}
+
+            {selected && diff && (
+              <div className="space-y-4">
+                {diff.changes.length === 0 ? (
+                  <p className="text-sm text-gray-500">No differences from the current version.</p>
+                ) : (
+                  diff.changes.map((change) => (
+                    <div key={change.field}>
+                      <h3 className="text-sm font-medium text-gray-700 mb-1">{fieldLabels[change.field]}</h3>
+                      <div className="grid grid-cols-2 gap-2 text-sm">
+                        <pre className="whitespace-pre-wrap bg-red-50 text-red-800 p-2 rounded">
+                          {formatValue(change.field, change.from)}
+                        </pre>
+                        <pre className="whitespace-pre-wrap bg-green-50 text-green-800 p-2 rounded">
+                          {formatValue(change.field, change.to)}
+                        </pre>
+                      </div>
+                    </div>
+                  ))
+                )}
+
+                {diff.changes.length > 0 && canRestore && (
+                  <button
+                    type="button"
+                    onClick={() => restore(selected)}
+                    className="flex items-center gap-2 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Restore version {selected.version}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostHistory;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useApi } from '../../hooks/useApi';
+import { X } from 'lucide-react';
+
+// Tag picker with autocomplete from existing tags. `value` is an array of
+// tag names or slugs; new tags can be typed freely and are created on save.
+const TagInput = ({ value = [], onChange, maxTags = 10 }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const { get } = useApi();
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const query = input.trim();
+    if (!query) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    // Debounce and ignore responses to stale queries
+    const id = ++requestId.current;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await get(`/tags?q=${encodeURIComponent(query)}&limit=8`);
+        if (id === requestId.current) {
+          setSuggestions(response.data.filter((tag) => !value.includes(tag.slug)));
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.error('Error fetching tags:', error);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [input]);
+
+  const addTag = (tag) => {
+    const name = tag.trim();
+    if (name && !value.some((existing) => existing.toLowerCase() === name.toLowerCase()) && value.length < maxTags) {
+      onChange([...value, name]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter((existing) => existing !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(suggestions[highlighted]?.slug || input);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 border border-gray-300 rounded-md focus-within:ring-2 focus-within:ring-blue-500">
+        {value.map((tag) => (
+          <span key={tag} className="flex items-center gap-1 bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs">
+            {tag}
+            <button type="button" onClick={() => removeTag(tag)} className="hover:text-blue-600">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input.trim() && addTag(input)}
+          className="flex-1 min-w-[8rem] outline-none"
+          placeholder={value.length === 0 ? 'Add tags' : ''}
+          disabled={value.length >= maxTags}
+        />
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg">
+          {suggestions.map((tag, index) => (
+            <li
+              key={tag._id}
+              // onMouseDown fires before the input's onBlur
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.slug);
+              }}
+              className={`flex justify-between px-3 py-2 text-sm cursor-pointer ${index === highlighted ? 'bg-blue-50' : ''}`}
+            >
+              <span>{tag.name}</span>
+              <span className="text-gray-400">{tag.postCount}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { useApi } from '../../hooks/useApi';
+import { userService } from '../../services/api';
+import toast from 'react-hot-toast';
+import { Plus, Trash2, Upload } from 'lucide-react';
+
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_LINKS = 5;
+
+const urlPattern = { value: /^https?:\/\/\S+$/i, message: 'Please enter an http(s) URL' };
+
+// Edit form for the signed-in user's own profile
+const ProfileEditor = ({ profile, onSaved, onCancel }) => {
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+
+  const { register, control, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      bio: profile.bio || '',
+      website: profile.website || '',
+      socialLinks: profile.socialLinks || [],
+    },
+  });
+  const { fields, append, remove } = useFieldArray({ control, name: 'socialLinks' });
+
+  const { put } = useApi();
+
+  const onSubmit = async (data) => {
+    setLoading(true);
+    try {
+      const response = await put('/users/me', data);
+      toast.success('Profile updated');
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error updating profile:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+    if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+      toast.error('Please choose a JPEG, PNG, GIF or WebP image');
+      return;
+    }
+    if (file.size > MAX_IMAGE_SIZE) {
+      toast.error('Image cannot be larger than 5MB');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('avatar', file);
+      const response = await put('/users/me/avatar', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      toast.success('Avatar updated');
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error uploading avatar:', error);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const removeAvatar = async () => {
+    try {
+      const response = await userService.deleteAvatar();
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error removing avatar:', error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+      {/* Avatar */}
+      <div className="flex items-center gap-4">
+        {profile.avatar ? (
+          <img src={profile.avatarVariants?.small || profile.avatar} alt="" className="w-16 h-16 rounded-full object-cover" />
+        ) : (
+          <div className="w-16 h-16 rounded-full bg-gray-200" />
+        )}
+        <label className="flex items-center gap-2 text-sm text-blue-600 hover:text-blue-700 cursor-pointer">
+          <Upload className="w-4 h-4" />
+          {uploading ? 'Uploading...' : 'Upload avatar'}
+          <input type="file" accept="image/*" onChange={handleAvatarChange} className="hidden" disabled={uploading} />
+        </label>
+        {profile.avatar && (
+          <button type="button" onClick={removeAvatar} className="text-sm text-gray-500 hover:text-red-600">
+            Remove
+          </button>
+        )}
+      </div>
+
+      {/* Bio */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Bio</label>
+        <textarea
+          {...register('bio', { maxLength: { value: 500, message: 'Bio cannot exceed 500 characters' } })}
+          rows={4}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="Tell readers a little about yourself"
+        />
+        {errors.bio && <p className="mt-1 text-sm text-red-600">{errors.bio.message}</p>}
+      </div>
+
+      {/* Website */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Website</label>
+        <input
+          type="url"
+          {...register('website', { pattern: urlPattern })}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder="https://example.com"
+        />
+        {errors.website && <p className="mt-1 text-sm text-red-600">{errors.website.message}</p>}
+      </div>
+
+      {/* Social links */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Links</label>
+        <div className="space-y-2">
+          {fields.map((field, index) => (
+            <div key={field.id} className="flex gap-2">
+              <input
+                {...register(`socialLinks.${index}.label`, { required: 'Label is required' })}
+                className="w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="GitHub"
+              />
+              <input
+                type="url"
+                {...register(`socialLinks.${index}.url`, { required: 'URL is required', pattern: urlPattern })}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="https://github.com/you"
+              />
+              <button type="button" onClick={() => remove(index)} className="text-gray-400 hover:text-red-600">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        {errors.socialLinks && <p className="mt-1 text-sm text-red-600">Please fill in a label and an http(s) URL for every link</p>}
+        {fields.length < MAX_LINKS && (
+          <button
+            type="button"
+            onClick={() => append({ label: '', url: '' })}
+            className="flex items-center gap-1 mt-2 text-sm text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add link
+          </button>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {loading ? 'Saving...' : 'Save Profile'}
+        </button>
+        <button type="button" onClick={onCancel} className="py-2 px-4 text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileEditor;
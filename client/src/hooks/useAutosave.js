@@ -0,0 +1,153 @@
+import { useState, useEffect, useRef } from 'react';
+import { draftService } from '../services/api';
+
+const AUTOSAVE_DELAY = 3000;
+
+const FIELDS = ['title', 'content', 'excerpt', 'category', 'tags'];
+
+const storageKey = (userId, postId) => `draft:${userId}:${postId || 'new'}`;
+
+const readLocal = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+};
+
+const sameValues = (a, b) => FIELDS.every((field) => JSON.stringify(a[field] ?? '') === JSON.stringify(b[field] ?? ''));
+
+// Periodically saves editor values as a server-side draft, falling back to
+// localStorage while offline. On mount it looks for a draft newer than the
+// post (`since`) that differs from the current values and offers it as
+// `recoverable`; autosave waits until that has been recovered or discarded.
+export const useAutosave = ({ userId, postId = null, values, since = null }) => {
+  const [savedAt, setSavedAt] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [recoverable, setRecoverable] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const [, setTick] = useState(0);
+
+  const key = storageKey(userId, postId);
+  const lastSaved = useRef(values);
+
+  // Upload a draft that was only saved locally
+  const sync = async (draft) => {
+    await draftService.saveDraft(postId, draft);
+    const local = readLocal(key);
+    if (local && local.savedAt === draft.savedAt) {
+      localStorage.removeItem(key);
+    }
+  };
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const findDraft = async () => {
+      const local = readLocal(key);
+      let server = null;
+      try {
+        server = (await draftService.getDraft(postId)).data;
+      } catch (error) {
+        console.error('Error loading draft:', error);
+      }
+
+      const newest = [local, server]
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))[0];
+
+      if (newest && (!since || new Date(newest.savedAt) > new Date(since)) && !sameValues(newest, values)) {
+        setRecoverable({ ...newest, category: newest.category || '', tags: newest.tags || [] });
+      }
+      setChecked(true);
+    };
+
+    findDraft();
+  }, [userId, postId]);
+
+  // Save a while after the last change
+  useEffect(() => {
+    if (!userId || !checked || recoverable || sameValues(values, lastSaved.current)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const draft = { ...values, savedAt: new Date().toISOString() };
+      lastSaved.current = values;
+      localStorage.setItem(key, JSON.stringify(draft));
+
+      if (!navigator.onLine) {
+        setStatus('offline');
+        setSavedAt(new Date(draft.savedAt));
+        return;
+      }
+
+      setStatus('saving');
+      try {
+        await sync(draft);
+        setStatus('saved');
+      } catch (error) {
+        // Kept in localStorage and uploaded once back online
+        setStatus('offline');
+      }
+      setSavedAt(new Date(draft.savedAt));
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [userId, checked, recoverable, JSON.stringify(values)]);
+
+  // Upload the local copy once the connection is back
+  useEffect(() => {
+    const handleOnline = async () => {
+      const local = readLocal(key);
+      if (!local) {
+        return;
+      }
+      try {
+        await sync(local);
+        setStatus('saved');
+      } catch (error) {
+        console.error('Error syncing draft:', error);
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [key]);
+
+  // Keep "saved Xs ago" current
+  useEffect(() => {
+    if (!savedAt) {
+      return undefined;
+    }
+    const interval = setInterval(() => setTick((tick) => tick + 1), 5000);
+    return () => clearInterval(interval);
+  }, [savedAt]);
+
+  // Accept the recoverable draft; returns it so the form can be filled in
+  const recover = () => {
+    const draft = recoverable;
+    setRecoverable(null);
+    return draft;
+  };
+
+  const discard = async () => {
+    setRecoverable(null);
+    localStorage.removeItem(key);
+    try {
+      await draftService.deleteDraft(postId);
+    } catch (error) {
+      console.error('Error discarding draft:', error);
+    }
+  };
+
+  // Call after the post has been saved; the server removes its draft itself
+  const clear = () => {
+    lastSaved.current = values;
+    localStorage.removeItem(key);
+  };
+
+  return { status, savedAt, recoverable, recover, discard, clear };
+};
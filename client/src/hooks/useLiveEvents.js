@@ -0,0 +1,66 @@
+import { useEffect, useRef } from 'react';
+import { eventStreamUrl, refreshAccessToken } from '../services/api';
+
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Subscribes to a Server-Sent Events stream under the API, e.g.
+// useLiveEvents('/posts/123/events', { comment: (data) => ... }).
+// Handlers are keyed by event name and receive the parsed data.
+//
+// EventSource reconnects by itself after network errors but gives up on an
+// error response, such as an expired access token; then the token is
+// refreshed and the stream reopened with a growing delay.
+export const useLiveEvents = (path, handlers, enabled = true) => {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled || !path || typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    let source = null;
+    let timer = null;
+    let attempts = 0;
+    let stopped = false;
+
+    const connect = () => {
+      source = new EventSource(eventStreamUrl(path));
+
+      source.onopen = () => {
+        attempts = 0;
+      };
+
+      Object.keys(handlersRef.current).forEach((event) => {
+        source.addEventListener(event, (e) => {
+          handlersRef.current[event]?.(JSON.parse(e.data));
+        });
+      });
+
+      source.onerror = async () => {
+        if (stopped || source.readyState !== EventSource.CLOSED) {
+          return;
+        }
+        attempts += 1;
+        if (localStorage.getItem('token')) {
+          try {
+            await refreshAccessToken();
+          } catch (error) {
+            console.error('Error refreshing token for live updates:', error);
+          }
+        }
+        if (!stopped) {
+          timer = setTimeout(connect, Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY));
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      source?.close();
+    };
+  }, [path, enabled]);
+};
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { bookmarkService } from '../services/api';
+
+const SAVE_INTERVAL = 5000;
+
+// How much of an element has scrolled past the bottom of the viewport, 0-100
+const measure = (element) => {
+  const { top, height } = element.getBoundingClientRect();
+  if (height <= 0) {
+    return 0;
+  }
+  const read = (window.innerHeight - top) / height;
+  return Math.round(Math.min(Math.max(read, 0), 1) * 100);
+};
+
+// Tracks how far the reader got through the article in `ref` and saves it
+// to their bookmark every few seconds and when they leave. Does nothing
+// unless the post is bookmarked. `resume()` scrolls back to `initial`.
+export const useReadingProgress = ({ ref, postId, enabled, initial = 0 }) => {
+  const [progress, setProgress] = useState(initial);
+  const lastSaved = useRef(initial);
+  const current = useRef(initial);
+
+  useEffect(() => {
+    setProgress(initial);
+    lastSaved.current = initial;
+    current.current = initial;
+  }, [postId, initial]);
+
+  useEffect(() => {
+    if (!enabled || !ref.current) {
+      return undefined;
+    }
+
+    const onScroll = () => {
+      current.current = measure(ref.current);
+      setProgress(current.current);
+    };
+
+    const save = () => {
+      if (current.current === lastSaved.current) {
+        return;
+      }
+      lastSaved.current = current.current;
+      bookmarkService
+        .updateBookmark(postId, { progress: current.current })
+        .catch((error) => console.error('Error saving reading progress:', error));
+    };
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+    const timer = setInterval(save, SAVE_INTERVAL);
+    return () => {
+      window.removeEventListener('scroll', onScroll);
+      clearInterval(timer);
+      save();
+    };
+  }, [enabled, postId, ref]);
+
+  const resume = () => {
+    if (!ref.current || initial <= 0 || initial >= 100) {
+      return;
+    }
+    const { top, height } = ref.current.getBoundingClientRect();
+    window.scrollTo({ top: window.scrollY + top + (height * initial) / 100 - window.innerHeight, behavior: 'smooth' });
+  };
+
+  return { progress, resume };
+};
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+
+const ForgotPassword = () => {
+  const [sent, setSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const { register, handleSubmit, formState: { errors } } = useForm();
+  const { post } = useApi();
+
+  const onSubmit = async (data) => {
+    setLoading(true);
+    try {
+      await post('/auth/forgot-password', data);
+      setSent(true);
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-12">
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h1 className="text-2xl font-bold mb-6">Forgot Password</h1>
+
+        {sent ? (
+          <p className="text-gray-700">
+            If an account exists for that email, we've sent a link to reset your password.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Email
+              </label>
+              <input
+                type="email"
+                {...register('email', { required: 'Email is required' })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="you@example.com"
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-sm text-center">
+          <Link to="/login" className="text-blue-600 hover:text-blue-500">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
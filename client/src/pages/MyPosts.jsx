@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Plus, Pencil, Eye, Send, Calendar, BarChart2 } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import Pagination from '../components/UI/Pagination';
+
+const tabs = [
+  { status: '', label: 'All', countKey: 'all' },
+  { status: 'draft', label: 'Drafts' },
+  { status: 'changes_requested', label: 'Changes requested' },
+  { status: 'in_review', label: 'In review' },
+  { status: 'scheduled', label: 'Scheduled' },
+  { status: 'published', label: 'Published' },
+];
+
+const statusStyles = {
+  draft: 'bg-gray-100 text-gray-700',
+  in_review: 'bg-yellow-100 text-yellow-800',
+  changes_requested: 'bg-red-100 text-red-800',
+  scheduled: 'bg-purple-100 text-purple-800',
+  published: 'bg-green-100 text-green-800',
+};
+
+// The signed-in user's posts of every status, with counts per status
+const MyPosts = () => {
+  const [posts, setPosts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const { get, post: apiPost } = useApi();
+
+  useEffect(() => {
+    fetchPosts();
+  }, [status, currentPage]);
+
+  const fetchPosts = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({
+        page: currentPage,
+        limit: 10,
+        ...(status && { status }),
+      });
+      const response = await get(`/posts/mine?${params}`);
+      setPosts(response.data);
+      setCounts(response.counts);
+      setTotalPages(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching your posts:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeTab = (tabStatus) => {
+    setStatus(tabStatus);
+    setCurrentPage(1);
+  };
+
+  const submitForReview = async (post) => {
+    try {
+      await apiPost(`/posts/${post._id}/submit`);
+      toast.success(`"${post.title}" was submitted for review`);
+      fetchPosts();
+    } catch (error) {
+      console.error('Error submitting post:', error);
+    }
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">My Posts</h1>
+        <Link
+          to="/create-post"
+          className="flex items-center gap-2 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+        >
+          <Plus className="w-4 h-4" />
+          New Post
+        </Link>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6 border-b border-gray-200">
+        {tabs.map((tab) => (
+          <button
+            key={tab.label}
+            type="button"
+            onClick={() => changeTab(tab.status)}
+            className={`px-3 py-2 text-sm -mb-px border-b-2 ${
+              status === tab.status
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-600 hover:text-gray-800'
+            }`}
+          >
+            {tab.label}
+            <span className="ml-1 text-gray-400">{counts[tab.countKey || tab.status] ?? 0}</span>
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : posts.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">No posts here yet.</p>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-200 mb-8">
+          {posts.map((post) => (
+            <li key={post._id} className="flex items-center justify-between gap-4 p-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyles[post.status]}`}>
+                    {post.status.replace('_', ' ')}
+                  </span>
+                  {post.category && <span className="text-xs text-gray-500">{post.category.name}</span>}
+                </div>
+                <h2 className="font-medium truncate">{post.title}</h2>
+                <p className="flex items-center gap-1 text-xs text-gray-500 mt-1">
+                  <Calendar className="w-3 h-3" />
+                  {post.status === 'scheduled' && post.publishAt
+                    ? `Publishes ${format(new Date(post.publishAt), 'MMM dd, yyyy HH:mm')}`
+                    : `Updated ${format(new Date(post.updatedAt), 'MMM dd, yyyy HH:mm')}`}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-3 shrink-0 text-sm">
+                {['draft', 'changes_requested'].includes(post.status) && (
+                  <button
+                    type="button"
+                    onClick={() => submitForReview(post)}
+                    className="flex items-center gap-1 text-gray-600 hover:text-blue-600"
+                  >
+                    <Send className="w-4 h-4" />
+                    Submit
+                  </button>
+                )}
+                <Link to={`/posts/${post.slug || post._id}`} className="flex items-center gap-1 text-gray-600 hover:text-blue-600">
+                  <Eye className="w-4 h-4" />
+                  {post.status === 'published' ? 'View' : 'Preview'}
+                </Link>
+                {post.status === 'published' && (
+                  <Link to={`/posts/${post._id}/stats`} className="flex items-center gap-1 text-gray-600 hover:text-blue-600">
+                    <BarChart2 className="w-4 h-4" />
+                    Stats
+                  </Link>
+                )}
+                <Link to={`/posts/${post._id}/edit`} className="flex items-center gap-1 text-gray-600 hover:text-blue-600">
+                  <Pencil className="w-4 h-4" />
+                  Edit
+                </Link>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          onPageChange={setCurrentPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default MyPosts;
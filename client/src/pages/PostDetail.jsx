@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { postService } from '../services/api';
+import { useReadingProgress } from '../hooks/useReadingProgress';
+import { useLiveEvents } from '../hooks/useLiveEvents';
+import { format } from 'date-fns';
+import { Calendar, Clock, Eye, Heart, MessageCircle, Pencil, BarChart2 } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import BookmarkButton from '../components/posts/BookmarkButton';
+
+// Add a live comment to the threads: top-level comments go last, replies
+// under their parent. Comments already shown are left alone.
+const addToThreads = (threads, comment) => {
+  const contains = (nodes) => nodes.some((node) => node._id === comment._id || contains(node.replies));
+  if (contains(threads)) {
+    return threads;
+  }
+  if (!comment.parent) {
+    return [...threads, { ...comment, replies: [] }];
+  }
+  const insert = (nodes) => nodes.map((node) => (node._id === comment.parent
+    ? { ...node, replies: [...node.replies, { ...comment, replies: [] }] }
+    : { ...node, replies: insert(node.replies) }));
+  return insert(threads);
+};
+
+// Drop a deleted comment, or blank it out when replies keep its thread
+const removeFromThreads = (threads, { _id, placeholder }) => threads
+  .filter((node) => placeholder || node._id !== _id)
+  .map((node) => ({
+    ...node,
+    ...(node._id === _id && { content: '[deleted]', deleted: true }),
+    replies: removeFromThreads(node.replies, { _id, placeholder }),
+  }));
+
+const CommentThread = ({ comment }) => (
+  <li>
+    <div className="text-sm text-gray-500">
+      {comment.deleted ? 'Deleted' : comment.author?.username}
+      {' · '}
+      {format(new Date(comment.createdAt), 'MMM dd, yyyy HH:mm')}
+    </div>
+    <p className={`mt-1 whitespace-pre-line ${comment.deleted ? 'text-gray-400 italic' : 'text-gray-800'}`}>
+      {comment.content}
+    </p>
+    {comment.replies.length > 0 && (
+      <ul className="mt-3 ml-6 space-y-3 border-l border-gray-200 pl-4">
+        {comment.replies.map((reply) => (
+          <CommentThread key={reply._id} comment={reply} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+// A single post. Bookmarked posts remember how far the reader got, and can
+// be picked up where they left off. Views, likes and comments update live.
+const PostDetail = () => {
+  const { slug } = useParams();
+  const [post, setPost] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [bookmarked, setBookmarked] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const articleRef = useRef(null);
+
+  const { user, can } = useAuth();
+
+  const { progress, resume } = useReadingProgress({
+    ref: articleRef,
+    postId: post?._id,
+    enabled: Boolean(user && post && bookmarked),
+    initial: post?.bookmark?.progress || 0,
+  });
+
+  useEffect(() => {
+    fetchPost();
+  }, [slug]);
+
+  useEffect(() => {
+    if (post?._id) {
+      fetchComments();
+    }
+  }, [post?._id]);
+
+  useLiveEvents(post && `/posts/${post._id}/events`, {
+    views: ({ views }) => setPost((current) => ({ ...current, views })),
+    likes: ({ likes }) => setPost((current) => ({ ...current, likeCount: likes })),
+    comment: (comment) => {
+      setComments((current) => addToThreads(current, comment));
+      setPost((current) => ({ ...current, commentCount: current.commentCount + 1 }));
+    },
+    'comment-deleted': (deleted) => {
+      setComments((current) => removeFromThreads(current, deleted));
+      setPost((current) => ({ ...current, commentCount: Math.max(0, current.commentCount - 1) }));
+    },
+  }, Boolean(post?._id));
+
+  const fetchComments = async () => {
+    try {
+      const response = await postService.getComments(post._id, 1, 100);
+      setComments(response.data);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  };
+
+  const fetchPost = async () => {
+    setLoading(true);
+    try {
+      const response = await postService.getPost(slug);
+      setPost(response.data);
+      setBookmarked(Boolean(response.data.bookmark));
+    } catch (error) {
+      console.error('Error fetching post:', error);
+      setPost(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!post) {
+    return <p className="text-center text-gray-500 py-12">This post doesn't exist.</p>;
+  }
+
+  const savedProgress = post.bookmark?.progress || 0;
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {bookmarked && (
+        <div className="fixed top-0 left-0 right-0 h-1 bg-gray-200 z-50">
+          <div className="h-full bg-blue-600 transition-all" style={{ width: `${progress}%` }} />
+        </div>
+      )}
+
+      <article className="bg-white rounded-lg shadow-md p-6">
+        {post.featuredImage && (
+          <img
+            src={post.featuredImageVariants?.large || post.featuredImage}
+            alt={post.title}
+            className="w-full h-72 object-cover rounded-md mb-6"
+          />
+        )}
+
+        <div className="flex items-center gap-2 text-sm text-gray-500 mb-2">
+          {post.category && (
+            <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs">{post.category.name}</span>
+          )}
+          {post.tags?.map((tag) => (
+            <span key={tag} className="text-gray-600">#{tag}</span>
+          ))}
+        </div>
+
+        <div className="flex items-start justify-between gap-4">
+          <h1 className="text-3xl font-bold">{post.title}</h1>
+          {user && <BookmarkButton postId={post._id} bookmarked={bookmarked} onChange={setBookmarked} className="mt-2" />}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 mt-2 mb-6">
+          {post.author && (
+            <Link to={`/users/${encodeURIComponent(post.author.username)}`} className="hover:text-blue-600">
+              {post.author.username}
+            </Link>
+          )}
+          <span className="flex items-center gap-1">
+            <Calendar className="w-4 h-4" />
+            {format(new Date(post.publishedAt || post.createdAt), 'MMM dd, yyyy')}
+          </span>
+          <span className="flex items-center gap-1">
+            <Clock className="w-4 h-4" />
+            {post.readingTime} min read
+          </span>
+          <span className="flex items-center gap-1">
+            <Eye className="w-4 h-4" />
+            {post.views}
+          </span>
+          <span className="flex items-center gap-1">
+            <Heart className="w-4 h-4" />
+            {post.likeCount ?? post.likes.length}
+          </span>
+          <span className="flex items-center gap-1">
+            <MessageCircle className="w-4 h-4" />
+            {post.commentCount}
+          </span>
+          {can('post:edit', post) && (
+            <>
+              <Link to={`/posts/${post._id}/edit`} className="flex items-center gap-1 hover:text-blue-600">
+                <Pencil className="w-4 h-4" />
+                Edit
+              </Link>
+              <Link to={`/posts/${post._id}/stats`} className="flex items-center gap-1 hover:text-blue-600">
+                <BarChart2 className="w-4 h-4" />
+                Stats
+              </Link>
+            </>
+          )}
+        </div>
+
+        {bookmarked && savedProgress > 0 && savedProgress < 100 && (
+          <button
+            type="button"
+            onClick={resume}
+            className="mb-6 text-sm text-blue-600 hover:text-blue-700"
+          >
+            Continue where you left off ({savedProgress}% read)
+          </button>
+        )}
+
+        {/* Rendered and sanitized by the server */}
+        <div
+          ref={articleRef}
+          className="prose max-w-none"
+          dangerouslySetInnerHTML={{ __html: post.contentHtml }}
+        />
+      </article>
+
+      <section className="bg-white rounded-lg shadow-md p-6 mt-6">
+        <h2 className="text-xl font-semibold mb-4">Comments ({post.commentCount})</h2>
+        {comments.length === 0 ? (
+          <p className="text-gray-500">No comments yet.</p>
+        ) : (
+          <ul className="space-y-4">
+            {comments.map((comment) => (
+              <CommentThread key={comment._id} comment={comment} />
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default PostDetail;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { format, parseISO } from 'date-fns';
+import { ArrowLeft, Eye, Users, Heart, MessageCircle } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+
+const ranges = [7, 30, 90];
+
+const metrics = [
+  { key: 'views', label: 'Views', icon: Eye },
+  { key: 'uniques', label: 'Unique visitors', icon: Users },
+  { key: 'likes', label: 'Likes', icon: Heart },
+  { key: 'comments', label: 'Comments', icon: MessageCircle },
+];
+
+// Views, visitors, likes and comments of one post over time, for its author
+const PostStats = () => {
+  const { id } = useParams();
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(30);
+  const [metric, setMetric] = useState('views');
+  const [loading, setLoading] = useState(true);
+
+  const { get } = useApi();
+
+  useEffect(() => {
+    fetchStats();
+  }, [id, days]);
+
+  const fetchStats = async () => {
+    setLoading(true);
+    try {
+      const response = await get(`/posts/${id}/stats?days=${days}`);
+      setStats(response.data);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !stats) {
+    return <LoadingSpinner />;
+  }
+
+  if (!stats) {
+    return <p className="text-center text-gray-500 py-12">Stats aren't available for this post.</p>;
+  }
+
+  const highest = Math.max(1, ...stats.daily.map((day) => day[metric]));
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <Link to="/my-posts" className="flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600 mb-4">
+        <ArrowLeft className="w-4 h-4" />
+        My Posts
+      </Link>
+
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold">Post Stats</h1>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {ranges.map((range) => (
+            <option key={range} value={range}>Last {range} days</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {metrics.map(({ key, label, icon: Icon }) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setMetric(key)}
+            className={`text-left bg-white rounded-lg shadow-md p-4 border-2 ${metric === key ? 'border-blue-600' : 'border-transparent'}`}
+          >
+            <span className="flex items-center gap-1 text-sm text-gray-500">
+              <Icon className="w-4 h-4" />
+              {label}
+            </span>
+            <span className="block text-2xl font-semibold mt-1">{stats.period[key]}</span>
+            {stats.totals[key] !== undefined && (
+              <span className="block text-xs text-gray-400">{stats.totals[key]} all time</span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+        <div className="flex items-end gap-px h-48">
+          {stats.daily.map((day) => (
+            <div
+              key={day.date}
+              title={`${format(parseISO(day.date), 'MMM dd')}: ${day[metric]}`}
+              className="flex-1 bg-blue-500 hover:bg-blue-600 rounded-t"
+              style={{ height: `${(Math.max(day[metric], 0) / highest) * 100}%` }}
+            />
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-2">
+          <span>{format(parseISO(stats.daily[0].date), 'MMM dd')}</span>
+          <span>{format(parseISO(stats.daily[stats.daily.length - 1].date), 'MMM dd')}</span>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <h2 className="font-semibold mb-3">Top referrers</h2>
+        {stats.referrers.length === 0 ? (
+          <p className="text-sm text-gray-500">No visits from other sites in this period.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {stats.referrers.map((referrer) => (
+              <li key={referrer.host} className="flex justify-between py-2">
+                <span>{referrer.host}</span>
+                <span className="text-gray-500">{referrer.count}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PostStats;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { useAuth } from '../contexts/AuthContext';
+import { userService } from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { Calendar, FileText, Globe, Link as LinkIcon, Pencil, Users, UserPlus, UserCheck } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import Pagination from '../components/UI/Pagination';
+import ProfileEditor from '../components/users/ProfileEditor';
+import NotificationPreferences from '../components/notifications/NotificationPreferences';
+
+// Public author profile with their published posts
+const Profile = () => {
+  const { username } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [editing, setEditing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [followPending, setFollowPending] = useState(false);
+
+  const { user } = useAuth();
+  const { get } = useApi();
+
+  const isOwnProfile = user && profile && user.username === profile.username;
+
+  useEffect(() => {
+    fetchProfile();
+    setCurrentPage(1);
+    setEditing(false);
+  }, [username]);
+
+  useEffect(() => {
+    fetchPosts();
+  }, [username, currentPage]);
+
+  const fetchProfile = async () => {
+    setLoading(true);
+    try {
+      const response = await get(`/users/${encodeURIComponent(username)}`);
+      setProfile(response.data);
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      setProfile(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleFollow = async () => {
+    setFollowPending(true);
+    try {
+      const response = profile.isFollowing
+        ? await userService.unfollowUser(profile.username)
+        : await userService.followUser(profile.username);
+      setProfile({
+        ...profile,
+        isFollowing: response.data.following,
+        followerCount: response.data.followerCount,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not update follow');
+    } finally {
+      setFollowPending(false);
+    }
+  };
+
+  const fetchPosts = async () => {
+    try {
+      const response = await get(`/users/${encodeURIComponent(username)}/posts?page=${currentPage}&limit=10`);
+      setPosts(response.data);
+      setTotalPages(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching posts:', error);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (!profile) {
+    return <p className="text-center text-gray-500 py-12">This author doesn't exist.</p>;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+        {editing ? (
+          <div className="space-y-8">
+            <ProfileEditor
+              profile={profile}
+              onSaved={(updated) => {
+                setProfile(updated);
+                setEditing(false);
+              }}
+              onCancel={() => setEditing(false)}
+            />
+            <NotificationPreferences />
+          </div>
+        ) : (
+          <div className="flex items-start gap-6">
+            {profile.avatar ? (
+              <img
+                src={profile.avatarVariants?.large || profile.avatar}
+                alt={profile.username}
+                className="w-24 h-24 rounded-full object-cover"
+              />
+            ) : (
+              <div className="w-24 h-24 rounded-full bg-gray-200 flex items-center justify-center text-3xl text-gray-500">
+                {profile.username[0].toUpperCase()}
+              </div>
+            )}
+
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <h1 className="text-2xl font-bold">{profile.username}</h1>
+                {isOwnProfile && (
+                  <button
+                    type="button"
+                    onClick={() => setEditing(true)}
+                    className="flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600"
+                  >
+                    <Pencil className="w-4 h-4" />
+                    Edit profile
+                  </button>
+                )}
+                {user && !isOwnProfile && (
+                  <button
+                    type="button"
+                    onClick={toggleFollow}
+                    disabled={followPending}
+                    className={`flex items-center gap-1 text-sm py-1 px-3 rounded-md disabled:opacity-50 ${
+                      profile.isFollowing
+                        ? 'border border-gray-300 text-gray-700 hover:border-red-300 hover:text-red-600'
+                        : 'bg-blue-600 text-white hover:bg-blue-700'
+                    }`}
+                  >
+                    {profile.isFollowing ? <UserCheck className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+                    {profile.isFollowing ? 'Following' : 'Follow'}
+                  </button>
+                )}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 mt-1">
+                <span className="flex items-center gap-1">
+                  <Calendar className="w-4 h-4" />
+                  Joined {format(new Date(profile.joinedAt), 'MMMM yyyy')}
+                </span>
+                <span className="flex items-center gap-1">
+                  <FileText className="w-4 h-4" />
+                  {profile.postCount} {profile.postCount === 1 ? 'post' : 'posts'}
+                </span>
+                <span className="flex items-center gap-1">
+                  <Users className="w-4 h-4" />
+                  {profile.followerCount} {profile.followerCount === 1 ? 'follower' : 'followers'}
+                  {' · '}
+                  {profile.followingCount} following
+                </span>
+              </div>
+
+              {profile.bio && <p className="text-gray-700 mt-4 whitespace-pre-line">{profile.bio}</p>}
+
+              {(profile.website || profile.socialLinks?.length > 0) && (
+                <div className="flex flex-wrap gap-4 mt-4 text-sm">
+                  {profile.website && (
+                    <a href={profile.website} target="_blank" rel="noopener noreferrer nofollow" className="flex items-center gap-1 text-blue-600 hover:text-blue-700">
+                      <Globe className="w-4 h-4" />
+                      {profile.website.replace(/^https?:\/\//, '')}
+                    </a>
+                  )}
+                  {profile.socialLinks?.map((link) => (
+                    <a key={link.url} href={link.url} target="_blank" rel="noopener noreferrer nofollow" className="flex items-center gap-1 text-blue-600 hover:text-blue-700">
+                      <LinkIcon className="w-4 h-4" />
+                      {link.label}
+                    </a>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <h2 className="text-xl font-semibold mb-4">Posts</h2>
+
+      {posts.length === 0 ? (
+        <p className="text-gray-500">No published posts yet.</p>
+      ) : (
+        <ul className="space-y-4 mb-8">
+          {posts.map((post) => (
+            <li key={post._id} className="bg-white rounded-lg shadow-md p-4">
+              <div className="flex items-center gap-2 text-sm text-gray-500 mb-1">
+                {post.category && (
+                  <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs">{post.category.name}</span>
+                )}
+                <span>{format(new Date(post.publishedAt || post.createdAt), 'MMM dd, yyyy')}</span>
+              </div>
+              <h3 className="text-lg font-semibold">
+                <Link to={`/posts/${post.slug || post._id}`} className="hover:text-blue-600 transition-colors">
+                  {post.title}
+                </Link>
+              </h3>
+              {post.excerpt && <p className="text-gray-600 mt-1 line-clamp-2">{post.excerpt}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          onPageChange={setCurrentPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { bookmarkService } from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { BookOpen, Clock, Folder, Trash2 } from 'lucide-react';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import Pagination from '../components/UI/Pagination';
+
+// The signed-in user's bookmarks, by collection, with unfinished posts
+// offered to continue reading
+const ReadingList = () => {
+  const [bookmarks, setBookmarks] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [unfinished, setUnfinished] = useState([]);
+  const [collection, setCollection] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const { get } = useApi();
+
+  useEffect(() => {
+    fetchUnfinished();
+  }, []);
+
+  useEffect(() => {
+    fetchBookmarks();
+  }, [collection, currentPage]);
+
+  const fetchBookmarks = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({
+        page: currentPage,
+        limit: 10,
+        ...(collection !== null && { collection }),
+      });
+      const response = await get(`/users/me/bookmarks?${params}`);
+      setBookmarks(response.data);
+      setCollections(response.collections);
+      setTotalPages(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching bookmarks:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchUnfinished = async () => {
+    try {
+      const response = await get('/users/me/bookmarks?unfinished=true&limit=3');
+      setUnfinished(response.data);
+    } catch (error) {
+      console.error('Error fetching unfinished posts:', error);
+    }
+  };
+
+  const changeCollection = (name) => {
+    setCollection(name);
+    setCurrentPage(1);
+  };
+
+  const moveTo = async (bookmark, name) => {
+    try {
+      await bookmarkService.updateBookmark(bookmark.post._id, { collection: name });
+      fetchBookmarks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not move bookmark');
+    }
+  };
+
+  const remove = async (bookmark) => {
+    try {
+      await bookmarkService.removeBookmark(bookmark.post._id);
+      setUnfinished(unfinished.filter((item) => item._id !== bookmark._id));
+      fetchBookmarks();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not remove bookmark');
+    }
+  };
+
+  const promptCollection = (bookmark) => {
+    const name = window.prompt('Collection name (leave empty to unfile)', bookmark.collectionName);
+    if (name !== null) {
+      moveTo(bookmark, name.trim());
+    }
+  };
+
+  const postUrl = (post) => `/posts/${post.slug || post._id}`;
+  const total = collections.reduce((sum, item) => sum + item.count, 0);
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-2xl font-bold mb-6">Reading List</h1>
+
+      {unfinished.length > 0 && (
+        <section className="mb-8">
+          <h2 className="flex items-center gap-2 text-lg font-semibold mb-3">
+            <BookOpen className="w-5 h-5" />
+            Continue reading
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {unfinished.map((bookmark) => (
+              <Link
+                key={bookmark._id}
+                to={postUrl(bookmark.post)}
+                className="block bg-white rounded-lg shadow-md p-4 hover:shadow-lg transition-shadow"
+              >
+                <h3 className="font-medium line-clamp-2 mb-2">{bookmark.post.title}</h3>
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-600" style={{ width: `${bookmark.progress}%` }} />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{bookmark.progress}% read</p>
+              </Link>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-6 border-b border-gray-200">
+        {[{ name: null, count: total }, ...collections].map((item) => (
+          <button
+            key={item.name ?? 'all'}
+            type="button"
+            onClick={() => changeCollection(item.name)}
+            className={`px-3 py-2 text-sm -mb-px border-b-2 ${
+              collection === item.name
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-600 hover:text-gray-800'
+            }`}
+          >
+            {item.name === null ? 'All' : item.name || 'Unfiled'}
+            <span className="ml-1 text-gray-400">{item.count}</span>
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : bookmarks.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">Bookmark posts to read them later.</p>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-200 mb-8">
+          {bookmarks.map((bookmark) => (
+            <li key={bookmark._id} className="flex items-center justify-between gap-4 p-4">
+              <div className="min-w-0">
+                <h2 className="font-medium truncate">
+                  <Link to={postUrl(bookmark.post)} className="hover:text-blue-600">
+                    {bookmark.post.title}
+                  </Link>
+                </h2>
+                <p className="flex items-center gap-3 text-xs text-gray-500 mt-1">
+                  <span>{bookmark.post.author?.username}</span>
+                  {bookmark.post.readingTime && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {bookmark.post.readingTime} min read
+                    </span>
+                  )}
+                  <span>Saved {format(new Date(bookmark.createdAt), 'MMM dd, yyyy')}</span>
+                  {bookmark.progress >= 100 && <span className="text-green-700">Finished</span>}
+                  {bookmark.progress > 0 && bookmark.progress < 100 && <span>{bookmark.progress}% read</span>}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-3 shrink-0 text-sm">
+                <button
+                  type="button"
+                  onClick={() => promptCollection(bookmark)}
+                  className="flex items-center gap-1 text-gray-600 hover:text-blue-600"
+                >
+                  <Folder className="w-4 h-4" />
+                  {bookmark.collectionName || 'File'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => remove(bookmark)}
+                  title="Remove bookmark"
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          onPageChange={setCurrentPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReadingList;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useApi } from '../hooks/useApi';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [status, setStatus] = useState('verifying');
+
+  const { token } = useParams();
+  const { isAuthenticated } = useAuth();
+  const { post } = useApi();
+
+  useEffect(() => {
+    verify();
+  }, [token]);
+
+  const verify = async () => {
+    try {
+      await post(`/auth/verify-email/${token}`);
+
+      // Keep the stored user in sync so the UI stops asking for verification
+      const user = localStorage.getItem('user');
+      if (user) {
+        localStorage.setItem('user', JSON.stringify({ ...JSON.parse(user), emailVerified: true }));
+      }
+      setStatus('verified');
+    } catch (error) {
+      setStatus('failed');
+    }
+  };
+
+  const resend = async () => {
+    try {
+      await post('/auth/resend-verification');
+      setStatus('resent');
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-12">
+      <div className="bg-white rounded-lg shadow-md p-6 text-center">
+        {status === 'verifying' && <p className="text-gray-700">Verifying your email...</p>}
+
+        {status === 'verified' && (
+          <>
+            <h1 className="text-2xl font-bold mb-4">Email Verified</h1>
+            <p className="text-gray-700 mb-6">Thanks! You can now join the discussion.</p>
+            <Link to="/posts" className="text-blue-600 hover:text-blue-500">Go to posts</Link>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <h1 className="text-2xl font-bold mb-4">Link Expired</h1>
+            <p className="text-gray-700 mb-6">This verification link is invalid or has expired.</p>
+            {isAuthenticated && (
+              <button
+                type="button"
+                onClick={resend}
+                className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+              >
+                Send a new link
+              </button>
+            )}
+          </>
+        )}
+
+        {status === 'resent' && <p className="text-gray-700">A new verification link is on its way.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -8,6 +8,8 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Sends the httpOnly refresh token cookie to /auth/refresh and /auth/logout
+  withCredentials: true,
 });
 
 // Add request interceptor for authentication
@@ -24,15 +26,59 @@ api.interceptors.request.use(
   }
 );
 
+// A 401 from these means bad credentials or a dead session, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/forgot-password'];
+
+// Shared by all requests that fail while a refresh is in flight
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh')
+      .then((response) => {
+        const { token, user } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('user', JSON.stringify(user));
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// URL of a Server-Sent Events stream. EventSource can't send headers, so
+// the access token goes in the query string.
+export const eventStreamUrl = (path) => {
+  const url = new URL(`${api.defaults.baseURL}${path}`, window.location.origin);
+  const token = localStorage.getItem('token');
+  if (token) {
+    url.searchParams.set('access_token', token);
+  }
+  return url.toString();
+};
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Handle authentication errors
-    if (error.response && error.response.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    // On an expired access token, refresh it silently and retry the request once
+    if (response && response.status === 401 && config && !NO_REFRESH_URLS.includes(config.url) && !config._retried) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // The session itself is gone; only now send the user to log in again
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
@@ -40,19 +86,25 @@ api.interceptors.response.use(
 
 // Post API services
 export const postService = {
-  // Get all posts with optional pagination and filters
-  getAllPosts: async (page = 1, limit = 10, category = null) => {
+  // Get all posts with optional pagination and filters (tagMode: 'any' or 'all')
+  getAllPosts: async (page = 1, limit = 10, category = null, tags = [], tagMode = 'any') => {
     let url = `/posts?page=${page}&limit=${limit}`;
     if (category) {
       url += `&category=${category}`;
     }
+    if (tags.length > 0) {
+      url += `&tags=${encodeURIComponent(tags.join(','))}&tagMode=${tagMode}`;
+    }
     const response = await api.get(url);
     return response.data;
   },
 
   // Get a single post by ID or slug
   getPost: async (idOrSlug) => {
-    const response = await api.get(`/posts/${idOrSlug}`);
+    // The page the reader came from, for the post's referrer stats
+    const response = await api.get(`/posts/${idOrSlug}`, {
+      params: document.referrer ? { ref: document.referrer } : {},
+    });
     return response.data;
   },
 
@@ -74,32 +126,365 @@ export const postService = {
     return response.data;
   },
 
-  // Add a comment to a post
+  // Get a page of comment threads for a post
+  getComments: async (postId, page = 1, limit = 20) => {
+    const response = await api.get(`/posts/${postId}/comments?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Add a comment to a post (pass `parent` in commentData to reply)
   addComment: async (postId, commentData) => {
     const response = await api.post(`/posts/${postId}/comments`, commentData);
     return response.data;
   },
 
-  // Search posts
-  searchPosts: async (query) => {
-    const response = await api.get(`/posts/search?q=${query}`);
+  // Edit one of your own comments
+  updateComment: async (postId, commentId, commentData) => {
+    const response = await api.put(`/posts/${postId}/comments/${commentId}`, commentData);
+    return response.data;
+  },
+
+  // Delete a comment
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Get the revision history of a post
+  getRevisions: async (postId) => {
+    const response = await api.get(`/posts/${postId}/revisions`);
+    return response.data;
+  },
+
+  // Compare two revisions of a post (defaults to the latest as target)
+  getRevisionDiff: async (postId, from, to = null) => {
+    let url = `/posts/${postId}/revisions/diff?from=${from}`;
+    if (to) {
+      url += `&to=${to}`;
+    }
+    const response = await api.get(url);
+    return response.data;
+  },
+
+  // Restore a post to an earlier revision
+  restoreRevision: async (postId, revisionId) => {
+    const response = await api.post(`/posts/${postId}/revisions/${revisionId}/restore`);
+    return response.data;
+  },
+
+  // Views, unique visitors, likes and comments per day over the last `days`, and top referrers
+  getStats: async (id, days = 30) => {
+    const response = await api.get(`/posts/${id}/stats?days=${days}`);
+    return response.data;
+  },
+
+  // The current user's posts of any status, with counts per status
+  getMyPosts: async (status = '', page = 1, limit = 10) => {
+    const response = await api.get('/posts/mine', { params: { page, limit, ...(status && { status }) } });
+    return response.data;
+  },
+
+  // Submit a draft (or a post with requested changes) for editorial review
+  submitForReview: async (id) => {
+    const response = await api.post(`/posts/${id}/submit`);
+    return response.data;
+  },
+
+  // Posts waiting for review, oldest first (needs post:review)
+  getReviewQueue: async (page = 1, limit = 20) => {
+    const response = await api.get(`/posts/review-queue?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Approve ('approve', optionally with publishAt) or request changes ('reject', with a note)
+  reviewPost: async (id, action, note = '', publishAt = null) => {
+    const response = await api.post(`/posts/${id}/review`, { action, note, publishAt: publishAt || undefined });
+    return response.data;
+  },
+
+  // Render Markdown content to sanitized HTML without saving it
+  previewPost: async (content) => {
+    const response = await api.post('/posts/preview', { content });
+    return response.data;
+  },
+
+  // Search posts, optionally filtered by category, author, tag and date range (from/to)
+  searchPosts: async (query, filters = {}, page = 1, limit = 10) => {
+    const params = new URLSearchParams({ q: query, page, limit });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) {
+        params.append(key, value);
+      }
+    });
+    const response = await api.get(`/posts/search?${params}`);
+    return response.data;
+  },
+};
+
+// Comment moderation API services
+export const moderationService = {
+  // List comments by moderation status (pending by default)
+  getQueue: async (status = 'pending', page = 1, limit = 20) => {
+    const response = await api.get(`/comments/moderation?status=${status}&page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Apply an action (approve, reject, spam) to several comments at once
+  moderate: async (ids, action) => {
+    const response = await api.post('/comments/moderation', { ids, action });
+    return response.data;
+  },
+};
+
+// Tag API services
+export const tagService = {
+  // List tags, optionally matching a prefix (for autocomplete)
+  getTags: async (query = '', limit = 50) => {
+    const response = await api.get(`/tags?q=${encodeURIComponent(query)}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Get the most used tags
+  getPopularTags: async (limit = 20) => {
+    const response = await api.get(`/tags/popular?limit=${limit}`);
+    return response.data;
+  },
+
+  // Merge tags into a target tag (admin)
+  mergeTags: async (sources, target) => {
+    const response = await api.post('/tags/merge', { sources, target });
+    return response.data;
+  },
+
+  // Rename a tag (admin)
+  renameTag: async (slug, name) => {
+    const response = await api.put(`/tags/${slug}`, { name });
+    return response.data;
+  },
+
+  // Follow or unfollow a tag
+  followTag: async (slug) => {
+    const response = await api.post(`/tags/${slug}/follow`);
+    return response.data;
+  },
+
+  unfollowTag: async (slug) => {
+    const response = await api.delete(`/tags/${slug}/follow`);
+    return response.data;
+  },
+};
+
+// Bookmark API services (reading list and reading progress)
+export const bookmarkService = {
+  // Bookmark a post, or remove it if it is already bookmarked
+  toggleBookmark: async (postId, collection = '') => {
+    const response = await api.post(`/posts/${postId}/bookmark`, { collection });
+    return response.data;
+  },
+
+  // Move a bookmark to another collection and/or record progress (0-100)
+  updateBookmark: async (postId, changes) => {
+    const response = await api.put(`/posts/${postId}/bookmark`, changes);
+    return response.data;
+  },
+
+  removeBookmark: async (postId) => {
+    const response = await api.delete(`/posts/${postId}/bookmark`);
+    return response.data;
+  },
+
+  // Bookmarks with their collections; filters: { collection, unfinished }
+  getBookmarks: async (page = 1, limit = 10, filters = {}) => {
+    const response = await api.get('/users/me/bookmarks', { params: { page, limit, ...filters } });
+    return response.data;
+  },
+
+  // IDs of all bookmarked posts, for marking them in lists
+  getBookmarkedIds: async () => {
+    const response = await api.get('/users/me/bookmarks/ids');
+    return response.data;
+  },
+};
+
+// Notification API services
+export const notificationService = {
+  // Notifications, newest first, with the unread count (unreadOnly to skip read ones)
+  getNotifications: async (page = 1, limit = 20, unreadOnly = false) => {
+    const response = await api.get('/notifications', { params: { page, limit, ...(unreadOnly && { unread: true }) } });
+    return response.data;
+  },
+
+  getUnreadCount: async () => {
+    const response = await api.get('/notifications/unread-count');
+    return response.data;
+  },
+
+  markRead: async (id) => {
+    const response = await api.put(`/notifications/${id}/read`);
+    return response.data;
+  },
+
+  markAllRead: async () => {
+    const response = await api.put('/notifications/read-all');
+    return response.data;
+  },
+
+  // Which types (comment, reply, like, mention, published) the user receives
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return response.data;
+  },
+};
+
+// Personalized feed API services
+export const feedService = {
+  // Published posts from followed authors, categories and tags, newest first
+  getFeed: async (page = 1, limit = 10) => {
+    const response = await api.get(`/feed?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+};
+
+// Draft API services (autosaved editor state, separate from the post)
+export const draftService = {
+  // Get the current user's draft of a post, or of a new post when postId is null
+  getDraft: async (postId = null) => {
+    const response = await api.get('/drafts', { params: postId ? { post: postId } : {} });
+    return response.data;
+  },
+
+  // Save a draft; savedAt is when the editor captured it
+  saveDraft: async (postId, draft) => {
+    const response = await api.put('/drafts', { ...draft, post: postId || undefined });
+    return response.data;
+  },
+
+  // Discard a draft
+  deleteDraft: async (postId = null) => {
+    const response = await api.delete('/drafts', { params: postId ? { post: postId } : {} });
     return response.data;
   },
 };
 
 // Category API services
 export const categoryService = {
-  // Get all categories
-  getAllCategories: async () => {
-    const response = await api.get('/categories');
+  // Get all categories (flat with depth and breadcrumb path, or nested with tree = true)
+  getAllCategories: async (tree = false) => {
+    const response = await api.get(`/categories${tree ? '?tree=true' : ''}`);
+    return response.data;
+  },
+
+  // Get a category by ID or slug, with its breadcrumb and subcategories
+  getCategory: async (id) => {
+    const response = await api.get(`/categories/${id}`);
     return response.data;
   },
 
-  // Create a new category
+  // Create a new category (pass parent to nest it)
   createCategory: async (categoryData) => {
     const response = await api.post('/categories', categoryData);
     return response.data;
   },
+
+  // Update a category; changing parent moves its subcategories too
+  updateCategory: async (id, categoryData) => {
+    const response = await api.put(`/categories/${id}`, categoryData);
+    return response.data;
+  },
+
+  // Delete a category, moving its posts to another category
+  deleteCategory: async (id, reassignTo) => {
+    const response = await api.delete(`/categories/${id}`, { data: { reassignTo } });
+    return response.data;
+  },
+
+  // Follow or unfollow a category (includes its subcategories in the feed)
+  followCategory: async (id) => {
+    const response = await api.post(`/categories/${id}/follow`);
+    return response.data;
+  },
+
+  unfollowCategory: async (id) => {
+    const response = await api.delete(`/categories/${id}/follow`);
+    return response.data;
+  },
+};
+
+// User API services: profiles and administration
+export const userService = {
+  // Roles and the permissions each grants
+  getRoles: async () => {
+    const response = await api.get('/users/roles');
+    return response.data;
+  },
+
+  // List users (needs user:manage), optionally filtered by role or name
+  getUsers: async (page = 1, limit = 20, filters = {}) => {
+    const response = await api.get('/users', { params: { page, limit, ...filters } });
+    return response.data;
+  },
+
+  // Change a user's role (needs user:manage)
+  updateUserRole: async (id, role) => {
+    const response = await api.put(`/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  // Public profile: bio, links, avatar, joined date, post and follower counts
+  getProfile: async (username) => {
+    const response = await api.get(`/users/${encodeURIComponent(username)}`);
+    return response.data;
+  },
+
+  // Published posts of a user
+  getUserPosts: async (username, page = 1, limit = 10) => {
+    const response = await api.get(`/users/${encodeURIComponent(username)}/posts?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Follow or unfollow an author
+  followUser: async (username) => {
+    const response = await api.post(`/users/${encodeURIComponent(username)}/follow`);
+    return response.data;
+  },
+
+  unfollowUser: async (username) => {
+    const response = await api.delete(`/users/${encodeURIComponent(username)}/follow`);
+    return response.data;
+  },
+
+  // Authors, categories and tags the current user follows
+  getFollowing: async () => {
+    const response = await api.get('/users/me/following');
+    return response.data;
+  },
+
+  // Update the current user's bio, website and socialLinks ([{ label, url }])
+  updateProfile: async (profileData) => {
+    const response = await api.put('/users/me', profileData);
+    return response.data;
+  },
+
+  // Upload a new avatar image for the current user
+  uploadAvatar: async (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    const response = await api.put('/users/me/avatar', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  // Remove the current user's avatar
+  deleteAvatar: async () => {
+    const response = await api.delete('/users/me/avatar');
+    return response.data;
+  },
 };
 
 // Auth API services
@@ -120,10 +505,56 @@ export const authService = {
     return response.data;
   },
 
-  // Logout user
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Logout user and revoke the session on the server
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+    }
+  },
+
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset email
+  resetPassword: async (token, password) => {
+    const response = await api.post(`/auth/reset-password/${token}`, { password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification email
+  verifyEmail: async (token) => {
+    const response = await api.post(`/auth/verify-email/${token}`);
+    return response.data;
+  },
+
+  // Send a new verification email to the current user
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // List active sessions of the current user
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Revoke one session, e.g. a lost device
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Revoke every session except the current one
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
   },
 
   // Get current user
@@ -0,0 +1,55 @@
+// Roles and the named permissions they grant. Each role includes everything
+// the roles before it can do. Permissions ending in :own apply to the user's
+// own content, :any to everyone's (see utils/policy.js).
+
+const ROLES = ['contributor', 'author', 'editor', 'admin'];
+
+const grants = {
+  // Writes posts but can't publish them, or change or delete them once live
+  // (see utils/postWorkflow.js)
+  contributor: [
+    'post:create',
+    'post:edit:own',
+    'post:delete:own',
+    'comment:edit:own',
+    'comment:delete:own'
+  ],
+  author: [
+    'post:publish'
+  ],
+  // Looks after everyone's content
+  editor: [
+    'post:edit:any',
+    'post:delete:any',
+    'post:review',
+    'comment:delete:any',
+    'comment:moderate',
+    'category:manage',
+    'tag:manage'
+  ],
+  admin: [
+    'user:manage'
+  ]
+};
+
+// Roles from before this model existed
+const LEGACY_ROLES = {
+  user: 'author'
+};
+
+const DEFAULT_ROLE = 'author';
+
+const PERMISSIONS = ROLES.reduce((permissions, role, index) => {
+  const inherited = index > 0 ? permissions[ROLES[index - 1]] : [];
+  permissions[role] = new Set([...inherited, ...grants[role]]);
+  return permissions;
+}, {});
+
+const permissionsFor = (role) => PERMISSIONS[LEGACY_ROLES[role] || role] || new Set();
+
+module.exports = {
+  ROLES,
+  LEGACY_ROLES,
+  DEFAULT_ROLE,
+  permissionsFor
+};
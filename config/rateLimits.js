@@ -0,0 +1,31 @@
+// Rate limits per route group. Each can be overridden with an env variable
+// of the form RATE_LIMIT_<GROUP>=<max>/<seconds>, e.g. RATE_LIMIT_AUTH=10/600.
+
+const defaults = {
+  // Every API request from one client
+  general: { max: 300, windowMs: 15 * 60 * 1000 },
+  // Login, registration and account recovery
+  auth: { max: 20, windowMs: 15 * 60 * 1000 },
+  comments: { max: 5, windowMs: 60 * 1000 },
+  likes: { max: 30, windowMs: 60 * 1000 },
+  // Creating, updating and deleting content
+  writes: { max: 30, windowMs: 60 * 1000 },
+  // Markdown previews and bookmarks (including reading progress), sent
+  // repeatedly while someone types or scrolls; not counted as writes
+  reading: { max: 120, windowMs: 60 * 1000 }
+};
+
+const fromEnv = (group, limit) => {
+  const value = process.env[`RATE_LIMIT_${group.toUpperCase()}`];
+  const match = value && value.match(/^(\d+)\/(\d+)$/);
+
+  if (!match) {
+    return limit;
+  }
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+};
+
+module.exports = Object.keys(defaults).reduce((limits, group) => {
+  limits[group] = fromEnv(group, defaults[group]);
+  return limits;
+}, {});
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Post = require('../models/Post');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { isVisibleTo } = require('../utils/postWorkflow');
+
+const bookmarkState = (bookmark) => ({
+  bookmarked: Boolean(bookmark),
+  collection: bookmark ? bookmark.collectionName : null,
+  progress: bookmark ? bookmark.progress : 0
+});
+
+// @desc    Bookmark a post, or remove the bookmark if it is already saved
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+exports.toggleBookmark = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).select('author status');
+
+  if (!post || !isVisibleTo(req.user, post)) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+
+  const existing = await Bookmark.findOneAndDelete({ user: req.user.id, post: post._id });
+
+  let bookmark = null;
+  if (!existing) {
+    try {
+      bookmark = await Bookmark.create({
+        user: req.user.id,
+        post: post._id,
+        collectionName: req.body.collection || ''
+      });
+    } catch (error) {
+      // A parallel request saved it first; it is bookmarked either way
+      if (error.code !== 11000) throw error;
+      bookmark = await Bookmark.findOne({ user: req.user.id, post: post._id });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: bookmarkState(bookmark)
+  });
+});
+
+// @desc    Move a bookmark to another collection or record reading progress
+// @route   PUT /api/posts/:id/bookmark
+// @access  Private
+exports.updateBookmark = asyncHandler(async (req, res, next) => {
+  const bookmark = await Bookmark.findOne({ user: req.user.id, post: req.params.id });
+
+  if (!bookmark) {
+    return next(new ErrorResponse('Post is not bookmarked', 404));
+  }
+
+  if (req.body.collection !== undefined) {
+    bookmark.collectionName = req.body.collection || '';
+  }
+
+  if (req.body.progress !== undefined) {
+    const progress = Number(req.body.progress);
+    if (!Number.isFinite(progress) || progress < 0 || progress > 100) {
+      return next(new ErrorResponse('Progress must be a percentage between 0 and 100', 400));
+    }
+    bookmark.progress = Math.round(progress);
+    bookmark.lastReadAt = new Date();
+  }
+
+  await bookmark.save();
+
+  res.status(200).json({
+    success: true,
+    data: bookmarkState(bookmark)
+  });
+});
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/posts/:id/bookmark
+// @access  Private
+exports.removeBookmark = asyncHandler(async (req, res) => {
+  await Bookmark.deleteOne({ user: req.user.id, post: req.params.id });
+
+  res.status(200).json({
+    success: true,
+    data: bookmarkState(null)
+  });
+});
+
+// @desc    The current user's bookmarks, newest first, with their collections
+// @route   GET /api/users/me/bookmarks?collection=&unfinished=true
+// @access  Private
+exports.getBookmarks = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+  const startIndex = (page - 1) * limit;
+
+  const user = new mongoose.Types.ObjectId(req.user.id);
+
+  // Posts unpublished since they were saved stay bookmarked but aren't shown.
+  // Filtering them out before paginating keeps pages full and counts right.
+  const savedIds = await Bookmark.find({ user }).distinct('post');
+  const saved = await Post.find({ _id: { $in: savedIds } }).select('author status');
+  const visible = saved.filter((post) => isVisibleTo(req.user, post)).map((post) => post._id);
+
+  const query = { user, post: { $in: visible } };
+
+  if (req.query.collection !== undefined) {
+    query.collectionName = req.query.collection;
+  }
+
+  // Started but not finished, most recently read first
+  const unfinished = req.query.unfinished === 'true';
+  if (unfinished) {
+    query.progress = { $gt: 0, $lt: 100 };
+  }
+
+  const [total, bookmarks, collections] = await Promise.all([
+    Bookmark.countDocuments(query),
+    Bookmark.find(query)
+      .populate({
+        path: 'post',
+        select: 'title slug excerpt author category status featuredImage featuredImageVariants readingTime createdAt',
+        populate: [
+          { path: 'author', select: 'username avatar' },
+          { path: 'category', select: 'name slug' }
+        ]
+      })
+      .sort(unfinished ? { lastReadAt: -1 } : { createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex),
+    Bookmark.aggregate([
+      { $match: { user, post: { $in: visible } } },
+      { $group: { _id: '$collectionName', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+
+  res.status(200).json({
+    success: true,
+    count: bookmarks.length,
+    total,
+    pagination,
+    collections: collections.map((collection) => ({ name: collection._id, count: collection.count })),
+    data: bookmarks
+  });
+});
+
+// @desc    IDs of every post the current user has bookmarked
+// @route   GET /api/users/me/bookmarks/ids
+// @access  Private
+exports.getBookmarkedIds = asyncHandler(async (req, res) => {
+  const bookmarks = await Bookmark.find({ user: req.user.id }).select('post');
+
+  res.status(200).json({
+    success: true,
+    data: bookmarks.map((bookmark) => bookmark.post)
+  });
+});
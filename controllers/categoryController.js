@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const Draft = require('../models/Draft');
+const Follow = require('../models/Follow');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Published post counts keyed by category id
+const countPosts = async () => {
+  const counts = await Post.aggregate([
+    { $match: { status: 'published' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+// Attach breadcrumb paths and post counts (own and including descendants)
+// to a list of categories, ordered depth-first by name
+const buildHierarchy = (categories, counts) => {
+  const byId = new Map(categories.map((category) => [String(category._id), {
+    ...category.toObject(),
+    postCount: counts.get(String(category._id)) || 0,
+    totalPostCount: 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of byId.values()) {
+    node.depth = node.ancestors.length;
+    node.path = [...node.ancestors, node._id]
+      .map((id) => byId.get(String(id)))
+      .filter(Boolean)
+      .map(({ _id, name, slug }) => ({ _id, name, slug }));
+
+    const parent = node.parent && byId.get(String(node.parent));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+
+    // Every post counts towards its own category and all of its ancestors
+    for (const id of [node._id, ...node.ancestors]) {
+      const target = byId.get(String(id));
+      if (target) {
+        target.totalPostCount += node.postCount;
+      }
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const flat = [];
+  const walk = (nodes) => {
+    nodes.sort(byName);
+    for (const node of nodes) {
+      flat.push(node);
+      walk(node.children);
+    }
+  };
+  walk(roots);
+
+  return { roots, flat, byId };
+};
+
+// Find a category by id or slug
+const findCategory = (idOrSlug) => (
+  mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? Category.findById(idOrSlug)
+    : Category.findOne({ slug: idOrSlug })
+);
+
+// Look up the requested parent, rejecting moves below the category itself
+const resolveParent = async (parentId, category) => {
+  if (!parentId) {
+    return null;
+  }
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    throw new ErrorResponse('Parent category not found', 404);
+  }
+  if (category && category.isAncestorOf(parent)) {
+    throw new ErrorResponse('A category cannot be moved below itself or one of its subcategories', 400);
+  }
+
+  return parent;
+};
+
+// @desc    Get all categories with breadcrumb paths and post counts
+// @route   GET /api/categories?tree=true
+// @access  Public
+exports.getCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([Category.find(), countPosts()]);
+  const { roots, flat } = buildHierarchy(categories, counts);
+
+  // Nested tree on request, otherwise a flat depth-first list
+  const data = req.query.tree === 'true'
+    ? roots
+    : flat.map(({ children, ...category }) => category);
+
+  res.status(200).json({
+    success: true,
+    count: categories.length,
+    data
+  });
+});
+
+// @desc    Get single category with breadcrumb and subcategories
+// @route   GET /api/categories/:id
+// @access  Public
+exports.getCategory = asyncHandler(async (req, res, next) => {
+  const category = await findCategory(req.params.id);
+
+  if (!category) {
+    return next(new ErrorResponse('Category not found', 404));
+  }
+
+  const [categories, counts] = await Promise.all([Category.find(), countPosts()]);
+  const { byId } = buildHierarchy(categories, counts);
+  const node = byId.get(String(category._id));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...node,
+      children: node.children.map(({ children, ...child }) => child)
+    }
+  });
+});
+
+// @desc    Create new category
+// @route   POST /api/categories
+// @access  Private (category:manage)
+exports.createCategory = asyncHandler(async (req, res) => {
+  const { name, description, moderateComments } = req.body;
+
+  const category = new Category({ name, description, moderateComments });
+  category.setParent(await resolveParent(req.body.parent));
+  await category.save();
+
+  res.status(201).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Update category, including moving it to another parent
+// @route   PUT /api/categories/:id
+// @access  Private (category:manage)
+exports.updateCategory = asyncHandler(async (req, res, next) => {
+  const category = await findCategory(req.params.id);
+
+  if (!category) {
+    return next(new ErrorResponse('Category not found', 404));
+  }
+
+  for (const field of ['name', 'description', 'moderateComments']) {
+    if (req.body[field] !== undefined) {
+      category[field] = req.body[field];
+    }
+  }
+
+  const moved = req.body.parent !== undefined
+    && String(req.body.parent || '') !== String(category.parent || '');
+  if (moved) {
+    category.setParent(await resolveParent(req.body.parent, category));
+  }
+
+  await category.save();
+
+  // Subcategories move along with their parent
+  if (moved) {
+    await category.updateDescendants();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Delete category, moving its posts to another category
+// @route   DELETE /api/categories/:id?reassignTo=
+// @access  Private (category:manage)
+exports.deleteCategory = asyncHandler(async (req, res, next) => {
+  const category = await findCategory(req.params.id);
+
+  if (!category) {
+    return next(new ErrorResponse('Category not found', 404));
+  }
+
+  const reassignTo = req.body.reassignTo || req.query.reassignTo;
+  const postCount = await Post.countDocuments({ category: category._id });
+
+  // Posts must never be left without a category
+  let target = null;
+  if (postCount > 0 && !reassignTo) {
+    return next(new ErrorResponse(`This category has ${postCount} posts; choose a category to move them to`, 400));
+  }
+  if (reassignTo) {
+    target = await findCategory(reassignTo);
+    if (!target) {
+      return next(new ErrorResponse('Target category not found', 404));
+    }
+    if (target._id.equals(category._id)) {
+      return next(new ErrorResponse('Posts cannot be moved to the category being deleted', 400));
+    }
+  }
+
+  if (target) {
+    await Post.updateMany({ category: category._id }, { category: target._id });
+  }
+  // Autosaved drafts follow the posts, or lose the category when there is
+  // nowhere to move them; the author picks one again before saving
+  await Draft.updateMany({ category: category._id }, { category: target ? target._id : null });
+
+  // Subcategories take the deleted category's place in the tree
+  const parent = category.parent ? await Category.findById(category.parent) : null;
+  const children = await Category.find({ parent: category._id });
+  for (const child of children) {
+    child.setParent(parent);
+    await child.save();
+    await child.updateDescendants();
+  }
+
+  await Follow.deleteMany({ category: category._id });
+  await category.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reassigned: target ? postCount : 0,
+      reassignedTo: target ? target._id : null
+    }
+  });
+});
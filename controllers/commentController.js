@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { can } = require('../utils/policy');
+const { notifyComment } = require('../utils/notifications');
+const { postChannel, publish } = require('../utils/liveEvents');
+const { recordActivity } = require('../utils/viewTracker');
+
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+// Moderators see every comment; authors only those on their own posts
+const moderationScope = async (user) => {
+  if (can(user, 'comment:moderate')) {
+    return {};
+  }
+  const posts = await Post.find({ author: user.id }).distinct('_id');
+  return { post: { $in: posts } };
+};
+
+// @desc    List comments in the moderation queue
+// @route   GET /api/comments/moderation?status=pending
+// @access  Private (comment:moderate, post authors)
+exports.getModerationQueue = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
+  
+  const status = req.query.status || 'pending';
+  if (!['pending', 'spam', 'rejected', 'approved'].includes(status)) {
+    return next(new ErrorResponse('Invalid comment status', 400));
+  }
+  
+  const query = { ...(await moderationScope(req.user)), status };
+  
+  const total = await Comment.countDocuments(query);
+  
+  const comments = await Comment.find(query)
+    .select('+spamScore')
+    .populate('author', 'username avatar')
+    .populate('post', 'title slug')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(startIndex);
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: comments.length,
+    total,
+    pagination,
+    data: comments
+  });
+});
+
+// @desc    Approve, reject or mark comments as spam in bulk
+// @route   POST /api/comments/moderation
+// @access  Private (comment:moderate, post authors)
+exports.moderateComments = asyncHandler(async (req, res, next) => {
+  const { ids, action } = req.body;
+  const status = MODERATION_ACTIONS[action];
+  
+  if (!status) {
+    return next(new ErrorResponse(`Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`, 400));
+  }
+  
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    return next(new ErrorResponse('Please provide a list of comment ids', 400));
+  }
+  
+  // Comments outside the user's scope are silently skipped
+  const comments = await Comment.find({ ...(await moderationScope(req.user)), _id: { $in: ids } })
+    .select('post author parent content status');
+  
+  const changed = comments.filter((comment) => comment.status !== status);
+  
+  await Comment.updateMany(
+    { _id: { $in: changed.map((comment) => comment._id) } },
+    { $set: { status, moderatedBy: req.user.id, moderatedAt: new Date() } }
+  );
+  
+  // Keep each post's public comment count in sync
+  const countChanges = new Map();
+  changed.forEach((comment) => {
+    const delta = status === 'approved' ? 1 : comment.status === 'approved' ? -1 : 0;
+    if (delta !== 0) {
+      const key = comment.post.toString();
+      countChanges.set(key, (countChanges.get(key) || 0) + delta);
+    }
+  });
+  
+  await Promise.all([...countChanges].map(([postId, delta]) => Promise.all([
+    Post.updateOne({ _id: postId }, { $inc: { commentCount: delta } }),
+    recordActivity(postId, { comments: delta })
+  ])));
+  
+  // Held comments only notify anyone once they are approved. Everyone
+  // viewing the posts sees comments appear and disappear live.
+  if (status === 'approved') {
+    for (const comment of changed) {
+      await notifyComment(comment);
+    }
+    
+    const approved = await Comment.find({ _id: { $in: changed.map((comment) => comment._id) } })
+      .populate('author', 'username avatar');
+    approved.forEach((comment) => publish(postChannel(comment.post), 'comment', comment));
+  } else {
+    changed
+      .filter((comment) => comment.status === 'approved')
+      .forEach((comment) => publish(postChannel(comment.post), 'comment-deleted', { _id: comment._id, placeholder: false }));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      status,
+      updated: changed.length,
+      skipped: ids.length - changed.length
+    }
+  });
+});
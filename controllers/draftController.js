@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { can } = require('../utils/policy');
+
+const DRAFT_FIELDS = ['title', 'content', 'excerpt'];
+
+// The post a draft belongs to (null for a new post), checking that the user
+// may edit it
+const resolvePost = async (req) => {
+  const postId = req.query.post || req.body.post;
+
+  if (!postId) {
+    return null;
+  }
+  if (!mongoose.isValidObjectId(postId)) {
+    throw new ErrorResponse('Invalid post id', 400);
+  }
+
+  const post = await Post.findById(postId).select('author');
+  if (!post) {
+    throw new ErrorResponse('Post not found', 404);
+  }
+  if (!can(req.user, 'post:edit', post)) {
+    throw new ErrorResponse('Not authorized to edit this post', 403);
+  }
+
+  return post;
+};
+
+// @desc    Get the current user's autosaved draft of a post
+// @route   GET /api/drafts?post=
+// @access  Private
+exports.getDraft = asyncHandler(async (req, res) => {
+  const post = await resolvePost(req);
+
+  const draft = await Draft.findOne({ author: req.user.id, post: post ? post._id : null });
+
+  res.status(200).json({
+    success: true,
+    data: draft
+  });
+});
+
+// @desc    Autosave a draft of a post (or of a new post)
+// @route   PUT /api/drafts
+// @access  Private
+exports.saveDraft = asyncHandler(async (req, res, next) => {
+  const post = await resolvePost(req);
+  const filter = { author: req.user.id, post: post ? post._id : null };
+
+  // Drafts saved offline are uploaded later with the time they were written
+  const savedAt = req.body.savedAt ? new Date(req.body.savedAt) : new Date();
+  if (Number.isNaN(savedAt.getTime())) {
+    return next(new ErrorResponse('Invalid savedAt date', 400));
+  }
+  if (savedAt > new Date()) {
+    savedAt.setTime(Date.now());
+  }
+
+  // Never replace a newer draft, e.g. from another tab, with an older one
+  const existing = await Draft.findOne(filter);
+  if (existing && existing.savedAt > savedAt) {
+    return res.status(200).json({
+      success: true,
+      data: existing
+    });
+  }
+
+  const update = { savedAt };
+  DRAFT_FIELDS.forEach((field) => {
+    if (typeof req.body[field] === 'string') {
+      update[field] = req.body[field];
+    }
+  });
+  if (req.body.category !== undefined) {
+    update.category = mongoose.isValidObjectId(req.body.category) ? req.body.category : null;
+  }
+  if (req.body.tags !== undefined) {
+    update.tags = Tag.parseInput(req.body.tags)
+      .map((tag) => String(tag).trim())
+      .filter(Boolean)
+      .slice(0, 10);
+  }
+
+  const upsert = () => Draft.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: true,
+    runValidators: true,
+    setDefaultsOnInsert: true
+  });
+
+  let draft;
+  try {
+    draft = await upsert();
+  } catch (error) {
+    // A parallel save created the draft first; update that one instead
+    if (error.code !== 11000) throw error;
+    draft = await upsert();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: draft
+  });
+});
+
+// @desc    Discard the current user's draft of a post
+// @route   DELETE /api/drafts?post=
+// @access  Private
+exports.deleteDraft = asyncHandler(async (req, res) => {
+  const post = await resolvePost(req);
+
+  await Draft.deleteOne({ author: req.user.id, post: post ? post._id : null });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { FORMATS } = require('../utils/feedBuilder');
+
+const FEED_SIZE = 20;
+
+const siteName = () => process.env.SITE_NAME || 'MERN Blog';
+const siteUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Resolve the optional category/tag/author scope into a post query and a title
+const resolveScope = async (scope, value) => {
+  if (!scope) {
+    return { query: {}, title: siteName() };
+  }
+
+  if (scope === 'category') {
+    const category = await Category.findOne({ slug: value });
+    return category && { query: { category: category._id }, title: `${siteName()}: ${category.name}` };
+  }
+
+  // Feeds of merged or renamed tags follow the tag they now belong to
+  if (scope === 'tag') {
+    const [slug] = await Tag.canonicalSlugs(value);
+    return slug && {
+      query: { tags: slug },
+      title: `${siteName()}: #${value}`
+    };
+  }
+
+  if (scope === 'author') {
+    const author = await User.findOne({ username: value });
+    return author && { query: { author: author._id }, title: `${siteName()}: posts by ${author.username}` };
+  }
+
+  return null;
+};
+
+// @desc    RSS, Atom or JSON feed of published posts, optionally scoped
+// @route   GET /feed.xml, /atom.xml, /feed.json
+// @route   GET /:scope(category|tag|author)/:value/(feed.xml|atom.xml|feed.json)
+// @access  Public
+exports.getFeed = asyncHandler(async (req, res, next) => {
+  const format = FORMATS[req.params.format];
+  const scope = await resolveScope(req.params.scope, req.params.value);
+
+  if (!format || !scope) {
+    return next(new ErrorResponse('Feed not found', 404));
+  }
+
+  const posts = await Post.find({ ...scope.query, status: 'published' })
+    .populate('author', 'username')
+    .populate('category', 'name')
+    .sort({ publishedAt: -1 })
+    .limit(FEED_SIZE);
+
+  const updated = posts.reduce(
+    (latest, post) => (post.updatedAt > latest ? post.updatedAt : latest),
+    new Date(0)
+  );
+
+  // The feed only changes when its posts do, so validators can be worked out
+  // before building it and unchanged feeds answered with a 304
+  const etag = `W/"${crypto.createHash('sha1')
+    .update(req.originalUrl + posts.map((post) => `${post._id}:${post.updatedAt.getTime()}`).join(','))
+    .digest('hex')}"`;
+
+  res.set({
+    ETag: etag,
+    'Last-Modified': updated.toUTCString(),
+    'Cache-Control': 'public, max-age=300'
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const absolute = (url) => (url && url.startsWith('/') ? `${origin}${url}` : url);
+
+  const feed = {
+    title: scope.title,
+    description: `Latest posts from ${scope.title}`,
+    siteUrl: siteUrl(),
+    feedUrl: `${origin}${req.originalUrl.split('?')[0]}`,
+    updated,
+    items: posts.map((post) => ({
+      id: `${siteUrl()}/posts/${post._id}`,
+      url: `${siteUrl()}/posts/${post.slug}`,
+      title: post.title,
+      summary: post.excerpt || '',
+      author: post.author ? post.author.username : 'Unknown',
+      category: post.category ? post.category.name : null,
+      image: absolute((post.featuredImageVariants && post.featuredImageVariants.get('large')) || post.featuredImage),
+      published: post.publishedAt || post.createdAt,
+      updated: post.updatedAt
+    }))
+  };
+
+  res.type(format.contentType).send(format.build(feed));
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Resolve the followed author, category or tag from the route into the
+// Follow fields identifying it
+const targets = {
+  author: async (req) => {
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    if (user._id.equals(req.user.id)) {
+      throw new ErrorResponse('You cannot follow yourself', 400);
+    }
+    return { user: user._id };
+  },
+
+  category: async (req) => {
+    const category = mongoose.isValidObjectId(req.params.id)
+      ? await Category.findById(req.params.id).select('_id')
+      : null;
+    if (!category) {
+      throw new ErrorResponse('Category not found', 404);
+    }
+    return { category: category._id };
+  },
+
+  tag: async (req) => {
+    const tag = await Tag.findBySlug(req.params.slug);
+    if (!tag) {
+      throw new ErrorResponse('Tag not found', 404);
+    }
+    return { tag: tag.slug };
+  }
+};
+
+const followState = async (target, following) => ({
+  following,
+  followerCount: await Follow.countDocuments(target)
+});
+
+// @desc    Follow an author, category or tag
+// @route   POST /api/users/:username/follow
+// @route   POST /api/categories/:id/follow
+// @route   POST /api/tags/:slug/follow
+// @access  Private
+exports.follow = (type) => asyncHandler(async (req, res) => {
+  const target = await targets[type](req);
+  const filter = { follower: req.user.id, ...target };
+
+  // Following twice is a no-op, including when two requests race to create
+  // the same follow
+  try {
+    await Follow.create(filter);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await followState(target, true)
+  });
+});
+
+// @desc    Unfollow an author, category or tag
+// @route   DELETE /api/users/:username/follow
+// @route   DELETE /api/categories/:id/follow
+// @route   DELETE /api/tags/:slug/follow
+// @access  Private
+exports.unfollow = (type) => asyncHandler(async (req, res) => {
+  const target = await targets[type](req);
+
+  await Follow.deleteOne({ follower: req.user.id, ...target });
+
+  res.status(200).json({
+    success: true,
+    data: await followState(target, false)
+  });
+});
+
+// @desc    Authors, categories and tags the current user follows
+// @route   GET /api/users/me/following
+// @access  Private
+exports.getFollowing = asyncHandler(async (req, res) => {
+  const follows = await Follow.find({ follower: req.user.id })
+    .populate('user', 'username avatar')
+    .populate('category', 'name slug')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      users: follows.filter((follow) => follow.user).map((follow) => follow.user),
+      categories: follows.filter((follow) => follow.category).map((follow) => follow.category),
+      tags: follows.filter((follow) => follow.tag).map((follow) => follow.tag)
+    }
+  });
+});
+
+// @desc    Published posts from followed authors, categories and tags
+// @route   GET /api/feed
+// @access  Private
+exports.getHomeFeed = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+  const startIndex = (page - 1) * limit;
+
+  const follows = await Follow.find({ follower: req.user.id });
+
+  const authors = follows.filter((follow) => follow.user).map((follow) => follow.user);
+
+  // Following a category includes its subcategories
+  const categories = [];
+  for (const follow of follows.filter((follow) => follow.category)) {
+    categories.push(...await Category.withDescendants(follow.category));
+  }
+
+  // Followed slugs may since have been renamed or merged into another tag
+  const followedTags = follows.filter((follow) => follow.tag).map((follow) => follow.tag);
+  const tags = followedTags.length
+    ? (await Tag.find({ $or: [{ slug: { $in: followedTags } }, { aliases: { $in: followedTags } }] })).map((tag) => tag.slug)
+    : [];
+
+  const sources = [
+    authors.length && { author: { $in: authors } },
+    categories.length && { category: { $in: categories } },
+    tags.length && { tags: { $in: tags } }
+  ].filter(Boolean);
+
+  let total = 0;
+  let posts = [];
+
+  if (sources.length) {
+    const query = { status: 'published', $or: sources };
+
+    total = await Post.countDocuments(query);
+
+    posts = await Post.find(query)
+      .select('-contentHtml -toc')
+      .populate('author', 'username avatar')
+      .populate('category', 'name slug')
+      .sort({ publishedAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+  }
+
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+
+  res.status(200).json({
+    success: true,
+    count: posts.length,
+    total,
+    pagination,
+    data: posts
+  });
+});
@@ -0,0 +1,26 @@
+const Post = require('../models/Post');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { isVisibleTo } = require('../utils/postWorkflow');
+const { POSTS_CHANNEL, postChannel, subscribe } = require('../utils/liveEvents');
+
+// @desc    Event stream of newly published posts (post-published)
+// @route   GET /api/posts/events
+// @access  Public
+exports.streamPosts = (req, res) => {
+  subscribe(req, res, POSTS_CHANNEL);
+};
+
+// @desc    Event stream of a post's comments, likes and views
+//          (comment, comment-deleted, likes, views)
+// @route   GET /api/posts/:id/events
+// @access  Public (unpublished posts: author and editors)
+exports.streamPost = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).select('author status');
+
+  if (!post || !isVisibleTo(req.user, post)) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+
+  subscribe(req, res, postChannel(post._id));
+});
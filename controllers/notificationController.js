@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { isVisibleTo } = require('../utils/postWorkflow');
+
+const unreadCount = (userId) => Notification.countDocuments({ recipient: userId, readAt: null });
+
+// @desc    The current user's notifications, newest first
+// @route   GET /api/notifications?unread=true
+// @access  Private
+exports.getNotifications = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
+
+  const query = { recipient: req.user.id };
+  if (req.query.unread === 'true') {
+    query.readAt = null;
+  }
+
+  const [total, notifications, unread] = await Promise.all([
+    Notification.countDocuments(query),
+    Notification.find(query)
+      .populate('actor', 'username avatar')
+      .populate('post', 'title slug author status')
+      // Rejected, spam and deleted comments don't show their text
+      .populate({ path: 'comment', select: 'content', match: { status: 'approved', deleted: { $ne: true } } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex),
+    unreadCount(req.user.id)
+  ]);
+
+  // Posts unpublished since the notification was sent don't show their title
+  notifications.forEach((notification) => {
+    if (notification.post && !isVisibleTo(req.user, notification.post)) {
+      notification.post = null;
+    }
+  });
+
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount: unread,
+    pagination,
+    data: notifications
+  });
+});
+
+// @desc    Number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { unreadCount: await unreadCount(req.user.id) }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markRead = asyncHandler(async (req, res, next) => {
+  const notification = mongoose.isValidObjectId(req.params.id)
+    ? await Notification.findOne({ _id: req.params.id, recipient: req.user.id })
+    : null;
+
+  if (!notification) {
+    return next(new ErrorResponse('Notification not found', 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { unreadCount: await unreadCount(req.user.id) }
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user.id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { updated: result.modifiedCount, unreadCount: 0 }
+  });
+});
+
+// @desc    Which types of notification the current user receives
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('notificationPreferences');
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences
+  });
+});
+
+// @desc    Turn types of notification on or off
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('notificationPreferences');
+
+  for (const [type, enabled] of Object.entries(req.body)) {
+    if (!Notification.TYPES.includes(type)) {
+      return next(new ErrorResponse(`Notification type must be one of: ${Notification.TYPES.join(', ')}`, 400));
+    }
+    if (typeof enabled !== 'boolean') {
+      return next(new ErrorResponse(`Preference for ${type} must be true or false`, 400));
+    }
+    user.notificationPreferences[type] = enabled;
+  }
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: user.notificationPreferences
+  });
+});
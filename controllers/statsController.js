@@ -0,0 +1,76 @@
+const Post = require('../models/Post');
+const PostStat = require('../models/PostStat');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { can } = require('../utils/policy');
+const { dayOf } = require('../utils/viewTracker');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOP_REFERRERS = 10;
+
+// @desc    Views, unique visitors, likes and comments per day, and top referrers
+// @route   GET /api/posts/:id/stats?days=30
+// @access  Private (author and editors)
+exports.getPostStats = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id).select('author views likes commentCount');
+
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+
+  if (!can(req.user, 'post:edit', post)) {
+    return next(new ErrorResponse('Not authorized to view stats for this post', 403));
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  const now = Date.now();
+  const dates = Array.from({ length: days }, (_, i) => dayOf(new Date(now - (days - 1 - i) * DAY)));
+
+  const stats = await PostStat.find({ post: post._id, day: { $gte: dates[0] } });
+  const byDay = new Map(stats.map((stat) => [stat.day, stat]));
+
+  // Every day in the range, including those without activity
+  const daily = dates.map((date) => {
+    const stat = byDay.get(date);
+    return {
+      date,
+      views: stat ? stat.views : 0,
+      uniques: stat ? stat.uniques : 0,
+      likes: stat ? stat.likes : 0,
+      comments: stat ? stat.comments : 0
+    };
+  });
+
+  const referrerCounts = new Map();
+  stats.forEach((stat) => stat.referrers.forEach(({ host, count }) => {
+    referrerCounts.set(host, (referrerCounts.get(host) || 0) + count);
+  }));
+  const referrers = [...referrerCounts]
+    .map(([host, count]) => ({ host, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_REFERRERS);
+
+  // Unique visitors are counted per day, so the period figure is the sum of
+  // daily uniques rather than distinct people
+  const sum = (field) => daily.reduce((total, day) => total + day[field], 0);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      days,
+      totals: {
+        views: post.views,
+        likes: post.likes.length,
+        comments: post.commentCount
+      },
+      period: {
+        views: sum('views'),
+        uniques: sum('uniques'),
+        likes: sum('likes'),
+        comments: sum('comments')
+      },
+      daily,
+      referrers
+    }
+  });
+});
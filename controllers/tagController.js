@@ -0,0 +1,151 @@
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/searchHighlight');
+
+// Move every post from one tag slug to another
+const retagPosts = async (fromSlug, toSlug) => {
+  await Post.updateMany({ tags: fromSlug }, { $addToSet: { tags: toSlug } });
+  await Post.updateMany({ tags: fromSlug }, { $pull: { tags: fromSlug } });
+};
+
+// @desc    List tags, optionally matching a prefix (for autocomplete)
+// @route   GET /api/tags?q=
+// @access  Public
+exports.getTags = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const startIndex = (page - 1) * limit;
+  
+  let query = {};
+  let sort = { name: 1 };
+  
+  // Prefix search; the most used tags come first so suggestions are useful
+  if (req.query.q) {
+    const prefix = new RegExp(`^${escapeRegex(req.query.q.trim())}`, 'i');
+    query = { $or: [{ name: prefix }, { slug: prefix }, { aliases: prefix }] };
+    sort = { postCount: -1, name: 1 };
+  }
+  
+  const total = await Tag.countDocuments(query);
+  
+  const tags = await Tag.find(query)
+    .sort(sort)
+    .limit(limit)
+    .skip(startIndex);
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    total,
+    pagination,
+    data: tags
+  });
+});
+
+// @desc    Most used tags
+// @route   GET /api/tags/popular
+// @access  Public
+exports.getPopularTags = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  
+  const tags = await Tag.find({ postCount: { $gt: 0 } })
+    .sort({ postCount: -1, name: 1 })
+    .limit(limit);
+  
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    data: tags
+  });
+});
+
+// @desc    Merge tags into a target tag
+// @route   POST /api/tags/merge
+// @access  Private (tag:manage)
+exports.mergeTags = asyncHandler(async (req, res, next) => {
+  const { sources, target } = req.body;
+  
+  if (!Array.isArray(sources) || sources.length === 0 || !target) {
+    return next(new ErrorResponse('Please provide source tags and a target tag', 400));
+  }
+  
+  const targetTag = await Tag.findBySlug(Tag.slugFor(target));
+  
+  if (!targetTag) {
+    return next(new ErrorResponse('Target tag not found', 404));
+  }
+  
+  let merged = 0;
+  for (const source of sources) {
+    const sourceTag = await Tag.findBySlug(Tag.slugFor(source));
+    
+    if (!sourceTag || sourceTag._id.equals(targetTag._id)) {
+      continue;
+    }
+    
+    await retagPosts(sourceTag.slug, targetTag.slug);
+    
+    // Old URLs and new posts using the merged names keep landing on the target
+    targetTag.aliases.addToSet(sourceTag.slug, ...sourceTag.aliases);
+    await sourceTag.deleteOne();
+    merged += 1;
+  }
+  
+  await targetTag.save();
+  await Tag.refreshCounts([targetTag.slug]);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      merged,
+      tag: await Tag.findById(targetTag._id)
+    }
+  });
+});
+
+// @desc    Rename a tag
+// @route   PUT /api/tags/:slug
+// @access  Private (tag:manage)
+exports.renameTag = asyncHandler(async (req, res, next) => {
+  const tag = await Tag.findBySlug(req.params.slug);
+  
+  if (!tag) {
+    return next(new ErrorResponse('Tag not found', 404));
+  }
+  
+  const name = (req.body.name || '').trim();
+  const slug = Tag.slugFor(name);
+  
+  if (!slug) {
+    return next(new ErrorResponse('Please provide a valid tag name', 400));
+  }
+  
+  if (slug !== tag.slug) {
+    const existing = await Tag.findBySlug(slug);
+    if (existing && !existing._id.equals(tag._id)) {
+      return next(new ErrorResponse(`Tag "${existing.name}" already exists, merge the tags instead`, 409));
+    }
+    
+    await retagPosts(tag.slug, slug);
+    tag.aliases.addToSet(tag.slug);
+    tag.aliases.pull(slug);
+    tag.slug = slug;
+  }
+  
+  tag.name = name;
+  await tag.save();
+  
+  res.status(200).json({
+    success: true,
+    data: tag
+  });
+});
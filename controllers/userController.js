@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { escapeRegex } = require('../utils/searchHighlight');
+const { ROLES, permissionsFor } = require('../config/permissions');
+const { processImage, deleteImages, AVATAR_VARIANTS } = require('../utils/imageProcessor');
+
+const PROFILE_FIELDS = ['bio', 'website', 'socialLinks'];
+
+// Public view of a user, with their published post and follow counts.
+// isFollowing is only set when a viewer is given.
+const publicProfile = async (user, viewer = null) => ({
+  _id: user._id,
+  username: user.username,
+  avatar: user.avatar,
+  avatarVariants: user.avatarVariants,
+  bio: user.bio,
+  website: user.website,
+  socialLinks: user.socialLinks,
+  joinedAt: user.createdAt,
+  postCount: await Post.countDocuments({ author: user._id, status: 'published' }),
+  followerCount: await Follow.countDocuments({ user: user._id }),
+  followingCount: await Follow.countDocuments({ follower: user._id, user: { $exists: true } }),
+  ...(viewer && { isFollowing: Boolean(await Follow.exists({ follower: viewer.id, user: user._id })) })
+});
+
+// @desc    List roles and the permissions each grants
+// @route   GET /api/users/roles
+// @access  Private
+exports.getRoles = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map((role) => ({ role, permissions: [...permissionsFor(role)] }))
+  });
+});
+
+// @desc    List users, optionally filtered by role or name
+// @route   GET /api/users?role=&q=
+// @access  Private (user:manage)
+exports.getUsers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.role) {
+    query.role = req.query.role;
+  }
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+    query.$or = [{ username: pattern }, { email: pattern }];
+  }
+
+  const total = await User.countDocuments(query);
+
+  const users = await User.find(query)
+    .select('username email role avatar emailVerified createdAt')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(startIndex);
+
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    pagination,
+    data: users
+  });
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (user:manage)
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return next(new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  // Stops admins from locking themselves (and possibly everyone) out
+  if (user.id === req.user.id) {
+    return next(new ErrorResponse('You cannot change your own role', 400));
+  }
+
+  user.role = role;
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      permissions: [...permissionsFor(user.role)]
+    }
+  });
+});
+
+// @desc    Public profile of a user
+// @route   GET /api/users/:username
+// @access  Public (isFollowing when signed in)
+exports.getProfile = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({ username: req.params.username }).select(User.PUBLIC_FIELDS);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await publicProfile(user, req.user)
+  });
+});
+
+// @desc    Published posts of a user
+// @route   GET /api/users/:username/posts
+// @access  Public
+exports.getUserPosts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+  const startIndex = (page - 1) * limit;
+
+  const user = await User.findOne({ username: req.params.username }).select('_id');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  const query = { author: user._id, status: 'published' };
+
+  const total = await Post.countDocuments(query);
+
+  const posts = await Post.find(query)
+    .select('-content -contentHtml -toc')
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .skip(startIndex);
+
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+
+  res.status(200).json({
+    success: true,
+    count: posts.length,
+    total,
+    pagination,
+    data: posts
+  });
+});
+
+// @desc    Update the current user's bio, website and links
+// @route   PUT /api/users/me
+// @access  Private
+exports.updateMyProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      user[field] = req.body[field];
+    }
+  });
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: await publicProfile(user)
+  });
+});
+
+// @desc    Upload a new avatar for the current user
+// @route   PUT /api/users/me/avatar
+// @access  Private
+exports.uploadAvatar = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload an image', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+avatarKeys');
+  const previousKeys = user.avatarKeys || [];
+
+  const image = await processImage(req.file.buffer, { variants: AVATAR_VARIANTS, folder: 'avatars' });
+  user.avatar = image.variants.large;
+  user.avatarVariants = image.variants;
+  user.avatarKeys = image.keys;
+
+  try {
+    await user.save({ validateModifiedOnly: true });
+  } catch (err) {
+    await deleteImages(image.keys);
+    throw err;
+  }
+  await deleteImages(previousKeys);
+
+  res.status(200).json({
+    success: true,
+    data: await publicProfile(user)
+  });
+});
+
+// @desc    Remove the current user's avatar
+// @route   DELETE /api/users/me/avatar
+// @access  Private
+exports.deleteAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+avatarKeys');
+  const previousKeys = user.avatarKeys || [];
+
+  user.avatar = '';
+  user.avatarVariants = {};
+  user.avatarKeys = [];
+  await user.save({ validateModifiedOnly: true });
+  await deleteImages(previousKeys);
+
+  res.status(200).json({
+    success: true,
+    data: await publicProfile(user)
+  });
+});
@@ -0,0 +1,37 @@
+const ErrorResponse = require('../utils/errorResponse');
+const { getRateStore } = require('../utils/rateStore');
+
+// Fixed-window rate limiter. `name` keeps counters of different groups
+// apart; `methods` limits which HTTP methods are counted and `skip` leaves
+// out requests that another group limits.
+const rateLimit = ({ name, max, windowMs, methods = null, skip = null, keyGenerator = (req) => req.ip }) => {
+  return async (req, res, next) => {
+    if ((methods && !methods.includes(req.method)) || (skip && skip(req))) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await getRateStore().increment(`rate:${name}:${keyGenerator(req)}`, windowMs);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Limit': max,
+        'RateLimit-Remaining': Math.max(0, max - count),
+        'RateLimit-Reset': retryAfter
+      });
+
+      if (count > max) {
+        res.set('Retry-After', retryAfter);
+        return next(new ErrorResponse('Too many requests, please try again later', 429));
+      }
+
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      next();
+    }
+  };
+};
+
+module.exports = rateLimit;
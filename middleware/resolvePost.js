@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const ErrorResponse = require('../utils/errorResponse');
+
+// router.param handler that lets every /:id post route take an ID or a slug.
+// The param is replaced with the post's ID, so controllers only see IDs.
+// GET requests for a slug the post used to have get a 301 to the current URL.
+const resolvePost = async (req, res, next, idOrSlug) => {
+  try {
+    if (mongoose.isValidObjectId(idOrSlug) && await Post.exists({ _id: idOrSlug })) {
+      return next();
+    }
+
+    const slug = String(idOrSlug).toLowerCase();
+    const current = await Post.findOne({ slug }).select('_id');
+    if (current) {
+      req.params.id = current._id.toString();
+      return next();
+    }
+
+    const renamed = await Post.findOne({ previousSlugs: slug }).select('_id slug');
+    if (!renamed) {
+      return next(new ErrorResponse('Post not found', 404));
+    }
+
+    // Swap only the post segment, which always comes first under the router
+    if (req.method === 'GET') {
+      const rest = req.path.replace(/^\/[^/]+/, '');
+      const queryIndex = req.originalUrl.indexOf('?');
+      const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+      return res.redirect(301, `${req.baseUrl}/${renamed.slug}${rest}${query}`);
+    }
+
+    req.params.id = renamed._id.toString();
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = resolvePost;
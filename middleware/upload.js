@@ -0,0 +1,40 @@
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorResponse');
+const { detectImageType } = require('../utils/imageProcessor');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// Files are kept in memory; the image processor writes the resized
+// variants to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new ErrorResponse('Only image files are allowed', 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in `field`, verifying its real content type
+const uploadImage = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Image cannot be larger than ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`
+        : error.message;
+      return next(new ErrorResponse(message, 400));
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (req.file && !detectImageType(req.file.buffer)) {
+      return next(new ErrorResponse('File must be a JPEG, PNG, GIF or WebP image', 400));
+    }
+    next();
+  });
+};
+
+module.exports = uploadImage;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A post a reader saved for later, optionally filed in a named collection,
+// with how far they have read it
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Named collectionName because `collection` is reserved by Mongoose;
+  // empty for bookmarks that aren't filed anywhere
+  collectionName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Collection name cannot exceed 50 characters'],
+    default: ''
+  },
+  // Percentage of the post read, 100 when finished
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, collectionName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
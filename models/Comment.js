@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  // Direct parent for replies, and the top-level comment of the thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Only approved comments are shown publicly
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'spam', 'rejected'],
+    default: 'approved'
+  },
+  spamScore: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments that still have replies keep their place in the thread
+  deleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Nest a flat list of replies under their top-level comments
+commentSchema.statics.buildThreads = function(topLevel, replies) {
+  const byId = new Map();
+  const threads = topLevel.map((comment) => {
+    const node = { ...comment.toObject(), replies: [] };
+    byId.set(node._id.toString(), node);
+    return node;
+  });
+
+  replies.forEach((reply) => {
+    const node = { ...reply.toObject(), replies: [] };
+    byId.set(node._id.toString(), node);
+  });
+
+  replies.forEach((reply) => {
+    const parent = byId.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(byId.get(reply._id.toString()));
+    }
+  });
+
+  return threads;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Autosaved editor state, kept apart from the post so autosave never changes
+// a live post. One draft per user and post; `post` is null for a post that
+// has not been created yet.
+const draftSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  title: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Excerpt cannot exceed 200 characters']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // When the editor captured this state, which can be earlier than the
+  // upload when it was saved offline first
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+draftSchema.index({ author: 1, post: 1 }, { unique: true });
+// Abandoned drafts are removed after 30 days
+draftSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Draft', draftSchema);
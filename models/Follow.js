@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A reader following an author, a category or a tag. Exactly one of user,
+// category and tag is set. Tags are stored by slug; slugs of renamed or
+// merged tags stay valid as aliases.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  tag: {
+    type: String,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+followSchema.index({ follower: 1, user: 1, category: 1, tag: 1 }, { unique: true });
+followSchema.index({ user: 1 });
+
+followSchema.pre('validate', function(next) {
+  const targets = ['user', 'category', 'tag'].filter((field) => this[field]);
+  if (targets.length !== 1) {
+    this.invalidate('user', 'A follow needs exactly one of user, category or tag');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Follow', followSchema);
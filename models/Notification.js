@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['comment', 'reply', 'like', 'mention', 'published'];
+
+// Something that happened to or around a user: a comment on their post, a
+// reply to their comment, a like, an @mention, or a new post by an author
+// they follow. Old notifications expire after 90 days.
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ post: 1 });
+notificationSchema.index({ comment: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
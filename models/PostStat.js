@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Daily totals for a post: counted views, unique visitors, and the likes and
+// comments it gained (net) that day. Referrers are external hosts visitors
+// came from; a host may appear more than once and is summed when read.
+const postStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // UTC date, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniques: {
+    type: Number,
+    default: 0
+  },
+  likes: {
+    type: Number,
+    default: 0
+  },
+  comments: {
+    type: Number,
+    default: 0
+  },
+  referrers: [{
+    _id: false,
+    host: String,
+    count: {
+      type: Number,
+      default: 0
+    }
+  }]
+});
+
+postStatSchema.index({ post: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostStat', postStatSchema);
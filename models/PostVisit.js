@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One visitor's visits to a post on one day, used to count each visitor
+// once per day and each view once per time window. Visitors are a user id
+// or a hash of IP and user agent, never the raw address. Expires after the
+// day is over.
+const postVisitSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  visitor: {
+    type: String,
+    required: true
+  },
+  // UTC date, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  lastViewAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 2 * 24 * 60 * 60
+  }
+});
+
+postVisitSchema.index({ post: 1, visitor: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostVisit', postVisitSchema);
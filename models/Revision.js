@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Fields captured in every revision and compared by the diff endpoint
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'tags', 'category'];
+
+const revisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  tags: [{
+    type: String
+  }],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+// Snapshot the current state of a post as its next revision
+revisionSchema.statics.record = async function(post, editorId, restoredFrom = null) {
+  const latest = await this.findOne({ post: post._id }).sort({ version: -1 }).select('version');
+
+  const snapshot = {
+    post: post._id,
+    version: latest ? latest.version + 1 : 1,
+    editor: editorId,
+    restoredFrom
+  };
+  TRACKED_FIELDS.forEach((field) => {
+    snapshot[field] = post[field];
+  });
+
+  return this.create(snapshot);
+};
+
+// Field-level differences between two revisions
+revisionSchema.statics.diff = function(from, to) {
+  return TRACKED_FIELDS.reduce((changes, field) => {
+    const before = from[field];
+    const after = to[field];
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+    return changes;
+  }, []);
+};
+
+const Revision = mongoose.model('Revision', revisionSchema);
+Revision.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = Revision;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const NAME_LENGTH = 30;
+
+// Posts store tag slugs; this holds the display name and post count.
+// Slugs of tags merged into this one are kept as aliases so they keep
+// resolving here.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [NAME_LENGTH, 'Tag name cannot exceed 30 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  aliases: [{
+    type: String,
+    lowercase: true
+  }],
+  postCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ aliases: 1 });
+tagSchema.index({ postCount: -1 });
+
+// Accept tags as an array, a JSON array string (multipart forms) or a
+// comma-separated string
+tagSchema.statics.parseInput = function(input) {
+  if (!input) return [];
+  if (Array.isArray(input)) return input;
+
+  try {
+    const parsed = JSON.parse(input);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // Not JSON, fall through to comma-separated
+  }
+  return String(input).split(',');
+};
+
+// Slug a tag name is stored under; lookups must use the same length limit
+tagSchema.statics.slugFor = function(name) {
+  return slugify(name, NAME_LENGTH);
+};
+
+// Find the tag a name or slug refers to, through aliases too
+tagSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ $or: [{ slug }, { aliases: slug }] });
+};
+
+// Map tag names or slugs to the canonical slugs they refer to now, through
+// aliases, without creating anything; unknown tags keep their own slug
+tagSchema.statics.canonicalSlugs = async function(names) {
+  const slugs = [...new Set(this.parseInput(names).map((name) => this.slugFor(name)).filter(Boolean))];
+  const tags = await this.find({ $or: [{ slug: { $in: slugs } }, { aliases: { $in: slugs } }] });
+
+  const canonical = slugs.map((slug) => {
+    const tag = tags.find((candidate) => candidate.slug === slug || candidate.aliases.includes(slug));
+    return tag ? tag.slug : slug;
+  });
+  return [...new Set(canonical)];
+};
+
+// Map free-text tag names to canonical tag slugs, creating missing tags
+tagSchema.statics.resolve = async function(names) {
+  const slugs = [];
+
+  for (const name of this.parseInput(names)) {
+    const trimmed = String(name).trim();
+    const slug = this.slugFor(trimmed);
+    if (!slug) continue;
+
+    let tag = await this.findBySlug(slug);
+    if (!tag) {
+      tag = await this.findOneAndUpdate(
+        { slug },
+        // Upserts skip schema validation, so keep the name within maxlength
+        { $setOnInsert: { name: trimmed.slice(0, NAME_LENGTH).trim(), slug } },
+        { upsert: true, new: true }
+      );
+    }
+
+    if (!slugs.includes(tag.slug)) {
+      slugs.push(tag.slug);
+    }
+  }
+  return slugs;
+};
+
+// Recount published posts for the given tag slugs
+tagSchema.statics.refreshCounts = async function(slugs = []) {
+  const Post = mongoose.model('Post');
+
+  await Promise.all([...new Set(slugs)].map(async (slug) => {
+    const postCount = await Post.countDocuments({ tags: slug, status: 'published' });
+    await this.updateOne({ slug }, { postCount });
+  }));
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,8 +1,84 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const Revision = require('../models/Revision');
+const Comment = require('../models/Comment');
+const Tag = require('../models/Tag');
+const Draft = require('../models/Draft');
+const Bookmark = require('../models/Bookmark');
+const Notification = require('../models/Notification');
+const PostStat = require('../models/PostStat');
+const PostVisit = require('../models/PostVisit');
 const { validatePost } = require('../validation/postValidation');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { buildHighlights } = require('../utils/searchHighlight');
+const { scoreComment, initialStatus, HOLD_THRESHOLD } = require('../utils/spamScore');
+const { processImage, deleteImages } = require('../utils/imageProcessor');
+const { renderMarkdown } = require('../utils/markdown');
+const { can } = require('../utils/policy');
+const { STATUSES, LIVE_STATUSES, transitionError, editError, isVisibleTo } = require('../utils/postWorkflow');
+const { notifyComment, notifyLike, notifyPublished } = require('../utils/notifications');
+const { POSTS_CHANNEL, postChannel, publish } = require('../utils/liveEvents');
+const { recordView, recordActivity } = require('../utils/viewTracker');
+
+// What the site-wide live channel sends about a newly published post
+const announcePost = (post) => {
+  publish(POSTS_CHANNEL, 'post-published', { _id: post._id, title: post.title, slug: post.slug });
+};
+
+// How long authors can edit their comments (minutes)
+const COMMENT_EDIT_WINDOW = (parseInt(process.env.COMMENT_EDIT_WINDOW, 10) || 15) * 60 * 1000;
+
+// Check publishAt for scheduled posts and clear it for everything else.
+// Returns an error message, or null when the body is valid.
+const normalizeSchedule = (body) => {
+  if (body.status !== 'scheduled') {
+    body.publishAt = null;
+    return null;
+  }
+
+  const publishAt = new Date(body.publishAt);
+  if (!body.publishAt || isNaN(publishAt.getTime())) {
+    return 'Please provide a valid publish date for scheduled posts';
+  }
+  if (publishAt <= new Date()) {
+    return 'Publish date must be in the future';
+  }
+
+  body.publishAt = publishAt;
+  return null;
+};
+
+// Image fields only ever come from a processed upload, never from the body
+const IMAGE_FIELDS = ['featuredImage', 'featuredImageVariants', 'featuredImageKeys'];
+
+// Rendered from the Markdown content on save, never taken from the body
+const RENDERED_FIELDS = ['contentHtml', 'toc', 'wordCount', 'readingTime'];
+
+// Kept up to date by the server (versioning and the review workflow)
+const MANAGED_FIELDS = ['version', 'submittedAt', 'publishedAt', 'reviewNotes'];
+
+// Answer an edit based on an outdated version with the current one, so the
+// client can show what changed and let the user merge
+const sendConflict = async (res, postId) => {
+  const current = await Post.findById(postId)
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug');
+  
+  res.set('Post-Version', current.etag());
+  res.status(409).json({
+    success: false,
+    error: 'This post was changed by someone else since you opened it',
+    data: current
+  });
+};
+
+const imageFields = (image) => ({
+  featuredImage: image ? image.variants.large : '',
+  featuredImageVariants: image ? image.variants : {},
+  featuredImageKeys: image ? image.keys : []
+});
 
 // @desc    Get all posts
 // @route   GET /api/posts
@@ -14,32 +90,37 @@ exports.getPosts = asyncHandler(async (req, res) => {
   
   let query = {};
   
-  // Search functionality
+  // Search functionality (uses the text index; see searchPosts for ranked results)
   if (req.query.search) {
-    query.$or = [
-      { title: { $regex: req.query.search, $options: 'i' } },
-      { content: { $regex: req.query.search, $options: 'i' } }
-    ];
+    query.$text = { $search: req.query.search };
   }
   
-  // Filter by category
+  // Filter by category, including its subcategories
   if (req.query.category) {
-    query.category = req.query.category;
+    query.category = mongoose.isValidObjectId(req.query.category)
+      ? { $in: await Category.withDescendants(req.query.category) }
+      : req.query.category;
   }
   
-  // Filter by status
-  if (req.query.status) {
-    query.status = req.query.status;
-  } else {
-    query.status = 'published'; // Default to published posts
+  // Filter by tags: posts with any of them, or with all of them (tagMode=all)
+  if (req.query.tags) {
+    const tags = await Tag.canonicalSlugs(req.query.tags);
+    if (tags.length > 0) {
+      query.tags = req.query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+    }
   }
   
+  // Only published posts are public; authors see the rest under /mine
+  query.status = 'published';
+  
   const total = await Post.countDocuments(query);
   
+  // Rendered HTML is only needed on the post page
   const posts = await Post.find(query)
-    .populate('author', 'username email')
+    .select('-contentHtml -toc')
+    .populate('author', 'username avatar')
     .populate('category', 'name slug')
-    .sort({ createdAt: -1 })
+    .sort({ publishedAt: -1 })
     .limit(limit)
     .skip(startIndex);
   
@@ -59,26 +140,194 @@ exports.getPosts = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Search published posts, ranked by relevance
+// @route   GET /api/posts/search?q=&category=&author=&tag=&from=&to=
+// @access  Public
+exports.searchPosts = asyncHandler(async (req, res, next) => {
+  const q = (req.query.q || '').trim();
+  if (!q) {
+    return next(new ErrorResponse('Please provide a search query', 400));
+  }
+  
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+  const startIndex = (page - 1) * limit;
+  
+  const query = {
+    $text: { $search: q },
+    status: 'published'
+  };
+  
+  // Filter by category and author
+  for (const field of ['category', 'author']) {
+    if (req.query[field]) {
+      if (!mongoose.isValidObjectId(req.query[field])) {
+        return next(new ErrorResponse(`Invalid ${field} id`, 400));
+      }
+      query[field] = field === 'category'
+        ? { $in: await Category.withDescendants(req.query[field]) }
+        : req.query[field];
+    }
+  }
+  
+  // Filter by tag, by name or slug, following merged and renamed tags
+  if (req.query.tag) {
+    query.tags = { $in: await Tag.canonicalSlugs(req.query.tag) };
+  }
+  
+  // Filter by date range
+  if (req.query.from || req.query.to) {
+    query.publishedAt = {};
+    if (req.query.from) query.publishedAt.$gte = new Date(req.query.from);
+    if (req.query.to) query.publishedAt.$lte = new Date(req.query.to);
+    
+    if (Object.values(query.publishedAt).some((date) => isNaN(date.getTime()))) {
+      return next(new ErrorResponse('Invalid date range', 400));
+    }
+  }
+  
+  const total = await Post.countDocuments(query);
+  
+  const posts = await Post.find(query, { score: { $meta: 'textScore' } })
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug')
+    .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+    .limit(limit)
+    .skip(startIndex);
+  
+  const results = posts.map((post) => ({
+    ...post.toObject(),
+    highlights: buildHighlights(post, q)
+  }));
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: results.length,
+    total,
+    pagination,
+    data: results
+  });
+});
+
+// @desc    Render Markdown the way it will be shown once saved
+// @route   POST /api/posts/preview
+// @access  Private
+exports.previewPost = asyncHandler(async (req, res, next) => {
+  if (typeof req.body.content !== 'string') {
+    return next(new ErrorResponse('Please provide content to preview', 400));
+  }
+  
+  const { html, toc, wordCount, readingTime } = renderMarkdown(req.body.content);
+  
+  res.status(200).json({
+    success: true,
+    data: { html, toc, wordCount, readingTime }
+  });
+});
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
-// @access  Public
+// @access  Public (unpublished posts: author and editors)
 exports.getPost = asyncHandler(async (req, res, next) => {
   const post = await Post.findById(req.params.id)
-    .populate('author', 'username email avatar')
+    .populate('author', 'username avatar')
     .populate('category', 'name slug')
-    .populate('comments.author', 'username avatar');
+    .populate('reviewNotes.reviewer', 'username');
   
-  if (!post) {
+  // Unpublished posts don't exist as far as everyone else can tell
+  if (!post || !isVisibleTo(req.user, post)) {
     return next(new ErrorResponse('Post not found', 404));
   }
   
-  // Increment views
-  post.views += 1;
-  await post.save();
+  // Repeat visits, bots, the author and previews of unpublished posts
+  // don't count as views
+  if (await recordView(post, req)) {
+    post.views += 1;
+    publish(postChannel(post._id), 'views', { views: post.views });
+  }
   
+  // The review discussion is only for those working on the post
+  const data = post.toJSON();
+  if (!can(req.user, 'post:edit', post)) {
+    delete data.reviewNotes;
+    delete data.submittedAt;
+  }
+  
+  if (req.user) {
+    data.bookmark = await Bookmark.findOne({ user: req.user.id, post: post._id })
+      .select('collectionName progress lastReadAt');
+  }
+  
+  // Sent back in If-Match when updating. Not an ETag: the body also holds
+  // counts and per-user fields the version doesn't cover, so a browser
+  // revalidating with it would get a 304 for a stale or someone else's body
+  res.set('Post-Version', post.etag());
   res.status(200).json({
     success: true,
-    data: post
+    data
+  });
+});
+
+// @desc    Get the current user's posts of any status, with counts per status
+// @route   GET /api/posts/mine?status=
+// @access  Private
+exports.getMyPosts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+  const startIndex = (page - 1) * limit;
+  
+  const author = new mongoose.Types.ObjectId(req.user.id);
+  const query = { author };
+  
+  if (req.query.status) {
+    if (!STATUSES.includes(req.query.status)) {
+      return next(new ErrorResponse(`Status must be one of: ${STATUSES.join(', ')}`, 400));
+    }
+    query.status = req.query.status;
+  }
+  
+  const [total, posts, statusCounts] = await Promise.all([
+    Post.countDocuments(query),
+    Post.find(query)
+      .select('-content -contentHtml -toc')
+      .populate('category', 'name slug')
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .skip(startIndex),
+    Post.aggregate([
+      { $match: { author } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+  
+  // Every status is listed, even with no posts
+  const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+  statusCounts.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  counts.all = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: posts.length,
+    total,
+    counts,
+    pagination,
+    data: posts
   });
 });
 
@@ -91,24 +340,57 @@ exports.createPost = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(error.details[0].message, 400));
   }
   
+  const statusError = transitionError(req.user, null, req.body.status || 'draft');
+  if (statusError) {
+    return next(new ErrorResponse(statusError, 403));
+  }
+  
   // Check if category exists
   const category = await Category.findById(req.body.category);
   if (!category) {
     return next(new ErrorResponse('Category not found', 404));
   }
   
+  const scheduleError = normalizeSchedule(req.body);
+  if (scheduleError) {
+    return next(new ErrorResponse(scheduleError, 400));
+  }
+  
   req.body.author = req.user.id;
+  req.body.tags = await Tag.resolve(req.body.tags);
+  
+  [...IMAGE_FIELDS, ...RENDERED_FIELDS, ...MANAGED_FIELDS].forEach((field) => delete req.body[field]);
   
+  let image = null;
   if (req.file) {
-    req.body.featuredImage = `/uploads/${req.file.filename}`;
+    image = await processImage(req.file.buffer);
+    Object.assign(req.body, imageFields(image));
+  }
+  
+  let post;
+  try {
+    post = await Post.create(req.body);
+  } catch (err) {
+    // Don't leave orphaned files behind when the post can't be saved
+    if (image) await deleteImages(image.keys);
+    throw err;
+  }
+  await Revision.record(post, req.user.id);
+  await Tag.refreshCounts(post.tags);
+  
+  if (post.status === 'published') {
+    await notifyPublished(post);
+    announcePost(post);
   }
   
-  const post = await Post.create(req.body);
+  // The autosaved draft has been published into the post
+  await Draft.deleteOne({ author: req.user.id, post: null });
   
   const populatedPost = await Post.findById(post._id)
-    .populate('author', 'username email')
+    .populate('author', 'username avatar')
     .populate('category', 'name slug');
   
+  res.set('Post-Version', populatedPost.etag());
   res.status(201).json({
     success: true,
     data: populatedPost
@@ -119,31 +401,371 @@ exports.createPost = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/posts/:id
 // @access  Private
 exports.updatePost = asyncHandler(async (req, res, next) => {
-  let post = await Post.findById(req.params.id);
+  let post = await Post.findById(req.params.id).select('+featuredImageKeys');
   
   if (!post) {
     return next(new ErrorResponse('Post not found', 404));
   }
   
-  // Check ownership
-  if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!can(req.user, 'post:edit', post)) {
     return next(new ErrorResponse('Not authorized to update this post', 403));
   }
   
+  const liveError = editError(req.user, post);
+  if (liveError) {
+    return next(new ErrorResponse(liveError, 403));
+  }
+  
+  // Refuse to overwrite a version the editor hasn't seen
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && !post.matchesEtag(ifMatch)) {
+    return sendConflict(res, post._id);
+  }
+  
   const { error } = validatePost(req.body);
   if (error) {
     return next(new ErrorResponse(error.details[0].message, 400));
   }
   
+  const statusError = req.body.status && transitionError(req.user, post.status, req.body.status);
+  if (statusError) {
+    return next(new ErrorResponse(statusError, 403));
+  }
+  
+  if (req.body.status) {
+    const scheduleError = normalizeSchedule(req.body);
+    if (scheduleError) {
+      return next(new ErrorResponse(scheduleError, 400));
+    }
+  }
+  
+  if (req.body.tags !== undefined) {
+    req.body.tags = await Tag.resolve(req.body.tags);
+  }
+  const previousTags = [...post.tags];
+  const previousStatus = post.status;
+  
+  const removeImage = req.body.removeImage === 'true' || req.body.removeImage === true;
+  delete req.body.removeImage;
+  [...IMAGE_FIELDS, ...RENDERED_FIELDS, ...MANAGED_FIELDS].forEach((field) => delete req.body[field]);
+  
+  let image = null;
   if (req.file) {
-    req.body.featuredImage = `/uploads/${req.file.filename}`;
+    image = await processImage(req.file.buffer);
+    Object.assign(req.body, imageFields(image));
+  } else if (removeImage) {
+    Object.assign(req.body, imageFields(null));
+  }
+  const previousImageKeys = post.featuredImageKeys || [];
+  
+  // Keep the original text of posts created before revisions existed
+  if (!(await Revision.exists({ post: post._id }))) {
+    await Revision.record(post, post.author);
   }
   
-  post = await Post.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  }).populate('author', 'username email').populate('category', 'name slug');
+  // Saving the document (rather than findByIdAndUpdate) runs the slug hook
+  // Also guards against another save landing while this one was processed
+  post.set(req.body);
+  try {
+    await post.saveIfUnchanged();
+  } catch (err) {
+    if (image) await deleteImages(image.keys);
+    if (err instanceof mongoose.Error.DocumentNotFoundError) {
+      return sendConflict(res, post._id);
+    }
+    throw err;
+  }
+  
+  // The old files are only removed once the post points at the new ones
+  if (image || removeImage) {
+    await deleteImages(previousImageKeys);
+  }
+  
+  // Both the old and new tags may have changed counts (and so may a status change)
+  await Tag.refreshCounts([...previousTags, ...post.tags]);
+  
+  if (post.status === 'published' && previousStatus !== 'published') {
+    await notifyPublished(post);
+    announcePost(post);
+  }
   
+  // Status-only changes don't need a new revision
+  const latest = await Revision.findOne({ post: post._id }).sort({ version: -1 });
+  if (Revision.diff(latest, post).length > 0) {
+    await Revision.record(post, req.user.id);
+  }
+  
+  await Draft.deleteOne({ author: req.user.id, post: post._id });
+  
+  await post.populate([
+    { path: 'author', select: 'username avatar' },
+    { path: 'category', select: 'name slug' }
+  ]);
+  
+  res.set('Post-Version', post.etag());
+  res.status(200).json({
+    success: true,
+    data: post
+  });
+});
+
+// @desc    Get revision history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private
+exports.getRevisions = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  if (!can(req.user, 'post:edit', post)) {
+    return next(new ErrorResponse('Not authorized to view the history of this post', 403));
+  }
+  
+  const revisions = await Revision.find({ post: post._id })
+    .select('-content')
+    .populate('editor', 'username avatar')
+    .populate('category', 'name slug')
+    .sort({ version: -1 });
+  
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    data: revisions
+  });
+});
+
+// @desc    Compare two revisions of a post
+// @route   GET /api/posts/:id/revisions/diff?from=:revId&to=:revId
+// @access  Private
+exports.getRevisionDiff = asyncHandler(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  if (!can(req.user, 'post:edit', post)) {
+    return next(new ErrorResponse('Not authorized to view the history of this post', 403));
+  }
+  
+  if (!req.query.from) {
+    return next(new ErrorResponse('Please provide a revision to compare from', 400));
+  }
+  
+  const from = await Revision.findOne({ _id: req.query.from, post: post._id })
+    .populate('category', 'name');
+  
+  // Compare against the latest revision when no target is given
+  const to = req.query.to
+    ? await Revision.findOne({ _id: req.query.to, post: post._id }).populate('category', 'name')
+    : await Revision.findOne({ post: post._id }).sort({ version: -1 }).populate('category', 'name');
+  
+  if (!from || !to) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      from: { _id: from._id, version: from.version, createdAt: from.createdAt },
+      to: { _id: to._id, version: to.version, createdAt: to.createdAt },
+      changes: Revision.diff(from, to)
+    }
+  });
+});
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:revId/restore
+// @access  Private
+exports.restoreRevision = asyncHandler(async (req, res, next) => {
+  let post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  if (!can(req.user, 'post:edit', post)) {
+    return next(new ErrorResponse('Not authorized to update this post', 403));
+  }
+  
+  const liveError = editError(req.user, post);
+  if (liveError) {
+    return next(new ErrorResponse(liveError, 403));
+  }
+  
+  // Refuse to overwrite a version the user hasn't seen
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && !post.matchesEtag(ifMatch)) {
+    return sendConflict(res, post._id);
+  }
+  
+  const revision = await Revision.findOne({ _id: req.params.revId, post: post._id });
+  
+  if (!revision) {
+    return next(new ErrorResponse('Revision not found', 404));
+  }
+  
+  // The revision's category may have been deleted since
+  if (!(await Category.exists({ _id: revision.category }))) {
+    return next(new ErrorResponse('The category of this revision no longer exists', 400));
+  }
+  
+  const previousTags = [...post.tags];
+  
+  Revision.TRACKED_FIELDS.forEach((field) => {
+    post[field] = revision[field];
+  });
+  // Tags may have been renamed or merged since the revision was made
+  post.tags = await Tag.resolve(revision.tags);
+  
+  try {
+    await post.saveIfUnchanged();
+  } catch (err) {
+    if (err instanceof mongoose.Error.DocumentNotFoundError) {
+      return sendConflict(res, post._id);
+    }
+    throw err;
+  }
+  await Tag.refreshCounts([...previousTags, ...post.tags]);
+  await Revision.record(post, req.user.id, revision._id);
+  
+  post = await Post.findById(post._id)
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug');
+  
+  res.set('Post-Version', post.etag());
+  res.status(200).json({
+    success: true,
+    data: post
+  });
+});
+
+// @desc    Submit post for editorial review
+// @route   POST /api/posts/:id/submit
+// @access  Private
+exports.submitForReview = asyncHandler(async (req, res, next) => {
+  let post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  if (!can(req.user, 'post:edit', post)) {
+    return next(new ErrorResponse('Not authorized to submit this post', 403));
+  }
+  
+  if (!['draft', 'changes_requested'].includes(post.status)) {
+    return next(new ErrorResponse(`A post that is ${post.status.replace('_', ' ')} cannot be submitted for review`, 400));
+  }
+  
+  post.status = 'in_review';
+  await post.save();
+  
+  post = await Post.findById(post._id)
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug')
+    .populate('reviewNotes.reviewer', 'username');
+  
+  res.set('Post-Version', post.etag());
+  res.status(200).json({
+    success: true,
+    data: post
+  });
+});
+
+// @desc    Posts waiting for review, oldest submission first
+// @route   GET /api/posts/review-queue
+// @access  Private (post:review)
+exports.getReviewQueue = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
+  
+  const query = { status: 'in_review' };
+  
+  const total = await Post.countDocuments(query);
+  
+  const posts = await Post.find(query)
+    .select('-content -contentHtml -toc')
+    .populate('author', 'username')
+    .populate('category', 'name slug')
+    .sort({ submittedAt: 1 })
+    .limit(limit)
+    .skip(startIndex);
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: posts.length,
+    total,
+    pagination,
+    data: posts
+  });
+});
+
+// @desc    Approve a post in review (publishing or scheduling it) or request changes
+// @route   POST /api/posts/:id/review
+// @access  Private (post:review)
+exports.reviewPost = asyncHandler(async (req, res, next) => {
+  let post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  if (post.status !== 'in_review') {
+    return next(new ErrorResponse('This post is not waiting for review', 400));
+  }
+  
+  const { action } = req.body;
+  const note = (req.body.note || '').trim();
+  
+  if (action === 'approve') {
+    // Approving publishes right away, or at publishAt when one is given
+    const schedule = { status: req.body.publishAt ? 'scheduled' : 'published', publishAt: req.body.publishAt };
+    const scheduleError = normalizeSchedule(schedule);
+    if (scheduleError) {
+      return next(new ErrorResponse(scheduleError, 400));
+    }
+    post.status = schedule.status;
+    post.publishAt = schedule.publishAt;
+    post.reviewNotes.push({ reviewer: req.user.id, action: 'approved', note });
+  } else if (action === 'reject') {
+    // Say what to change, so the author isn't left guessing
+    if (!note) {
+      return next(new ErrorResponse('Please add a note explaining the changes needed', 400));
+    }
+    post.status = 'changes_requested';
+    post.reviewNotes.push({ reviewer: req.user.id, action: 'changes_requested', note });
+  } else {
+    return next(new ErrorResponse('Action must be approve or reject', 400));
+  }
+  
+  await post.save();
+  
+  if (LIVE_STATUSES.includes(post.status)) {
+    await Tag.refreshCounts(post.tags);
+  }
+  
+  if (post.status === 'published') {
+    await notifyPublished(post);
+    announcePost(post);
+  }
+  
+  post = await Post.findById(post._id)
+    .populate('author', 'username avatar')
+    .populate('category', 'name slug')
+    .populate('reviewNotes.reviewer', 'username');
+  
+  res.set('Post-Version', post.etag());
   res.status(200).json({
     success: true,
     data: post
@@ -154,18 +776,31 @@ exports.updatePost = asyncHandler(async (req, res, next) => {
 // @route   DELETE /api/posts/:id
 // @access  Private
 exports.deletePost = asyncHandler(async (req, res, next) => {
-  const post = await Post.findById(req.params.id);
+  const post = await Post.findById(req.params.id).select('+featuredImageKeys');
   
   if (!post) {
     return next(new ErrorResponse('Post not found', 404));
   }
   
-  // Check ownership
-  if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!can(req.user, 'post:delete', post)) {
     return next(new ErrorResponse('Not authorized to delete this post', 403));
   }
   
+  const liveError = editError(req.user, post);
+  if (liveError) {
+    return next(new ErrorResponse(liveError, 403));
+  }
+  
   await post.deleteOne();
+  await Revision.deleteMany({ post: post._id });
+  await Draft.deleteMany({ post: post._id });
+  await Comment.deleteMany({ post: post._id });
+  await Bookmark.deleteMany({ post: post._id });
+  await Notification.deleteMany({ post: post._id });
+  await PostStat.deleteMany({ post: post._id });
+  await PostVisit.deleteMany({ post: post._id });
+  await deleteImages(post.featuredImageKeys);
+  await Tag.refreshCounts(post.tags);
   
   res.status(200).json({
     success: true,
@@ -173,56 +808,190 @@ exports.deletePost = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Add comment to post
+// @desc    Get comments of a post, paginated by top-level thread
+// @route   GET /api/posts/:id/comments
+// @access  Public
+exports.getComments = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const startIndex = (page - 1) * limit;
+  
+  const post = await Post.findById(req.params.id).select('author status');
+  
+  if (!post || !isVisibleTo(req.user, post)) {
+    return next(new ErrorResponse('Post not found', 404));
+  }
+  
+  // Only approved comments are public
+  const query = { post: post._id, parent: null, status: 'approved' };
+  const total = await Comment.countDocuments(query);
+  
+  const topLevel = await Comment.find(query)
+    .populate('author', 'username avatar')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .skip(startIndex);
+  
+  // Load every reply of the threads on this page in one query
+  const replies = await Comment.find({
+    root: { $in: topLevel.map((comment) => comment._id) },
+    status: 'approved'
+  })
+    .populate('author', 'username avatar')
+    .sort({ createdAt: 1 });
+  
+  const pagination = {
+    current: page,
+    total: Math.ceil(total / limit),
+    hasNext: page < Math.ceil(total / limit),
+    hasPrev: page > 1
+  };
+  
+  res.status(200).json({
+    success: true,
+    count: topLevel.length,
+    total,
+    pagination,
+    data: Comment.buildThreads(topLevel, replies)
+  });
+});
+
+// @desc    Add comment or reply to post
 // @route   POST /api/posts/:id/comments
 // @access  Private
 exports.addComment = asyncHandler(async (req, res, next) => {
-  const post = await Post.findById(req.params.id);
+  const post = await Post.findById(req.params.id).populate('category', 'moderateComments');
   
-  if (!post) {
+  if (!post || !isVisibleTo(req.user, post)) {
     return next(new ErrorResponse('Post not found', 404));
   }
   
   const comment = {
+    post: post._id,
     author: req.user.id,
     content: req.body.content
   };
   
-  post.comments.push(comment);
-  await post.save();
+  // Replies must belong to the same post
+  if (req.body.parent) {
+    const parent = await Comment.findOne({ _id: req.body.parent, post: post._id, status: 'approved' });
+    
+    if (!parent) {
+      return next(new ErrorResponse('Parent comment not found', 404));
+    }
+    
+    comment.parent = parent._id;
+    comment.root = parent.root || parent._id;
+  }
+  
+  // Hold the comment for review when the category (or the whole site)
+  // requires it, or when it looks like spam
+  const categorySetting = post.category && post.category.moderateComments;
+  const premoderated = typeof categorySetting === 'boolean'
+    ? categorySetting
+    : process.env.COMMENT_MODERATION === 'true';
   
-  const updatedPost = await Post.findById(req.params.id)
-    .populate('comments.author', 'username avatar');
+  const { score } = await scoreComment(comment);
+  comment.spamScore = score;
+  comment.status = initialStatus(score, premoderated);
+  
+  const created = await Comment.create(comment);
+  if (created.status === 'approved') {
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    await recordActivity(post._id, { comments: 1 });
+    await notifyComment(created);
+  }
+  
+  await created.populate('author', 'username avatar');
+  // The spam score is for moderators only
+  const { spamScore, ...visible } = created.toJSON();
+  if (created.status === 'approved') {
+    publish(postChannel(post._id), 'comment', visible);
+  }
   
   res.status(201).json({
     success: true,
-    data: updatedPost.comments
+    message: created.status === 'approved' ? undefined : 'Your comment is awaiting moderation',
+    data: visible
   });
 });
 
-// @desc    Delete comment
-// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Edit comment
+// @route   PUT /api/posts/:id/comments/:commentId
 // @access  Private
-exports.deleteComment = asyncHandler(async (req, res, next) => {
-  const post = await Post.findById(req.params.id);
+exports.updateComment = asyncHandler(async (req, res, next) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id });
   
-  if (!post) {
-    return next(new ErrorResponse('Post not found', 404));
+  if (!comment || comment.deleted) {
+    return next(new ErrorResponse('Comment not found', 404));
   }
   
-  const comment = post.comments.id(req.params.commentId);
+  // Only the author can edit, and only for a short while
+  if (!can(req.user, 'comment:edit', comment)) {
+    return next(new ErrorResponse('Not authorized to edit this comment', 403));
+  }
+  
+  if (Date.now() - comment.createdAt.getTime() > COMMENT_EDIT_WINDOW) {
+    return next(new ErrorResponse(`Comments can only be edited within ${COMMENT_EDIT_WINDOW / 60000} minutes`, 403));
+  }
+  
+  comment.content = req.body.content;
+  comment.editedAt = new Date();
+  
+  // Score the new text too, so approved comments can't be edited into spam;
+  // a comment that now looks suspicious goes back to the moderation queue
+  const { score } = await scoreComment(comment);
+  comment.spamScore = score;
+  const held = comment.status === 'approved' && score >= HOLD_THRESHOLD;
+  if (held) {
+    comment.status = 'pending';
+  }
+  await comment.save();
   
-  if (!comment) {
+  if (held) {
+    await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+    await recordActivity(comment.post, { comments: -1 });
+    publish(postChannel(comment.post), 'comment-deleted', { _id: comment._id, placeholder: false });
+  }
+  
+  await comment.populate('author', 'username avatar');
+  const { spamScore, ...visible } = comment.toJSON();
+  
+  res.status(200).json({
+    success: true,
+    message: comment.status === 'approved' ? undefined : 'Your comment is awaiting moderation',
+    data: visible
+  });
+});
+
+// @desc    Delete comment
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private
+exports.deleteComment = asyncHandler(async (req, res, next) => {
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+  
+  if (!comment || comment.deleted) {
     return next(new ErrorResponse('Comment not found', 404));
   }
   
-  // Check ownership
-  if (comment.author.toString() !== req.user.id && req.user.role !== 'admin') {
+  if (!can(req.user, 'comment:delete', comment)) {
     return next(new ErrorResponse('Not authorized to delete this comment', 403));
   }
   
-  comment.deleteOne();
-  await post.save();
+  // Keep a placeholder when there are replies so the thread stays intact
+  if (await Comment.exists({ parent: comment._id })) {
+    comment.deleted = true;
+    comment.content = '[deleted]';
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+  }
+  
+  if (comment.status === 'approved') {
+    await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+    await recordActivity(comment.post, { comments: -1 });
+    publish(postChannel(comment.post), 'comment-deleted', { _id: comment._id, placeholder: comment.deleted });
+  }
   
   res.status(200).json({
     success: true,
@@ -236,7 +1005,7 @@ exports.deleteComment = asyncHandler(async (req, res, next) => {
 exports.likePost = asyncHandler(async (req, res, next) => {
   const post = await Post.findById(req.params.id);
   
-  if (!post) {
+  if (!post || !isVisibleTo(req.user, post)) {
     return next(new ErrorResponse('Post not found', 404));
   }
   
@@ -250,6 +1019,12 @@ exports.likePost = asyncHandler(async (req, res, next) => {
   
   await post.save();
   
+  await recordActivity(post._id, { likes: likeIndex === -1 ? 1 : -1 });
+  if (likeIndex === -1) {
+    await notifyLike(post, req.user.id);
+  }
+  publish(postChannel(post._id), 'likes', { likes: post.likes.length });
+  
   res.status(200).json({
     success: true,
     data: {
@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getMe,
+  updateProfile
+} = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.post('/register', register);
+router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+
+// Account recovery and verification
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+
+router.get('/me', protect, getMe);
+router.put('/profile', protect, updateProfile);
+
+// Session management
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+module.exports = router;
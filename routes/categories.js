@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { follow, unfollow } = require('../controllers/followController');
+const { protect, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(getCategories)
+  .post(protect, permit('category:manage'), createCategory);
+
+router
+  .route('/:id')
+  .get(getCategory)
+  .put(protect, permit('category:manage'), updateCategory)
+  .delete(protect, permit('category:manage'), deleteCategory);
+
+router
+  .route('/:id/follow')
+  .post(protect, follow('category'))
+  .delete(protect, unfollow('category'));
+
+module.exports = router;
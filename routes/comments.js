@@ -0,0 +1,11 @@
+const express = require('express');
+const { getModerationQueue, moderateComments } = require('../controllers/commentController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.route('/moderation')
+  .get(protect, getModerationQueue)
+  .post(protect, moderateComments);
+
+module.exports = router;
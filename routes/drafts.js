@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  getDraft,
+  saveDraft,
+  deleteDraft
+} = require('../controllers/draftController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route('/')
+  .get(getDraft)
+  .put(saveDraft)
+  .delete(deleteDraft);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { getFeed } = require('../controllers/feedController');
+
+const router = express.Router();
+
+const FORMATS = ':format(feed\\.xml|atom\\.xml|feed\\.json)';
+
+router.get(`/${FORMATS}`, getFeed);
+router.get(`/:scope(category|tag|author)/:value/${FORMATS}`, getFeed);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getHomeFeed } = require('../controllers/followController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', protect, getHomeFeed);
+
+module.exports = router;
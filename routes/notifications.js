@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.put('/read-all', markAllRead);
+router
+  .route('/preferences')
+  .get(getPreferences)
+  .put(updatePreferences);
+router.put('/:id/read', markRead);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const {
+  getPosts,
+  searchPosts,
+  previewPost,
+  getPost,
+  getMyPosts,
+  createPost,
+  updatePost,
+  deletePost,
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment,
+  likePost,
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+  submitForReview,
+  getReviewQueue,
+  reviewPost
+} = require('../controllers/postController');
+const { toggleBookmark, updateBookmark, removeBookmark } = require('../controllers/bookmarkController');
+const { streamPosts, streamPost } = require('../controllers/liveController');
+const { getPostStats } = require('../controllers/statsController');
+const { protect, optionalAuth, queryToken, permit, requireVerified } = require('../middleware/auth');
+const uploadImage = require('../middleware/upload');
+const resolvePost = require('../middleware/resolvePost');
+
+const router = express.Router();
+
+// Every /:id route accepts a post ID or slug
+router.param('id', resolvePost);
+
+router.route('/')
+  .get(getPosts)
+  .post(protect, permit('post:create'), uploadImage('featuredImage'), createPost);
+
+router.post('/preview', protect, previewPost);
+
+// Must come before /:id so these paths aren't taken for post ids
+router.get('/search', searchPosts);
+router.get('/review-queue', protect, permit('post:review'), getReviewQueue);
+router.get('/mine', protect, getMyPosts);
+router.get('/events', streamPosts);
+
+router.route('/:id')
+  .get(optionalAuth, getPost)
+  .put(protect, uploadImage('featuredImage'), updatePost)
+  .delete(protect, deletePost);
+
+router.route('/:id/comments')
+  .get(optionalAuth, getComments)
+  .post(protect, requireVerified, addComment);
+
+router.route('/:id/comments/:commentId')
+  .put(protect, updateComment)
+  .delete(protect, deleteComment);
+
+router.post('/:id/like', protect, likePost);
+
+// Views, uniques, likes and comments per day
+router.get('/:id/stats', protect, getPostStats);
+
+// Live comments, likes and views (Server-Sent Events)
+router.get('/:id/events', queryToken, optionalAuth, streamPost);
+
+// Bookmarks and reading progress
+router.route('/:id/bookmark')
+  .post(protect, toggleBookmark)
+  .put(protect, updateBookmark)
+  .delete(protect, removeBookmark);
+
+// Revision history
+router.get('/:id/revisions', protect, getRevisions);
+router.get('/:id/revisions/diff', protect, getRevisionDiff);
+router.post('/:id/revisions/:revId/restore', protect, restoreRevision);
+
+// Editorial review
+router.post('/:id/submit', protect, submitForReview);
+router.post('/:id/review', protect, permit('post:review'), reviewPost);
+
+module.exports = router;
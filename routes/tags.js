@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getTags,
+  getPopularTags,
+  mergeTags,
+  renameTag
+} = require('../controllers/tagController');
+const { follow, unfollow } = require('../controllers/followController');
+const { protect, permit } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', getTags);
+router.get('/popular', getPopularTags);
+router.post('/merge', protect, permit('tag:manage'), mergeTags);
+router.put('/:slug', protect, permit('tag:manage'), renameTag);
+router
+  .route('/:slug/follow')
+  .post(protect, follow('tag'))
+  .delete(protect, unfollow('tag'));
+
+module.exports = router;
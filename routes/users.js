@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  getRoles,
+  getUsers,
+  updateUserRole,
+  getProfile,
+  getUserPosts,
+  updateMyProfile,
+  uploadAvatar,
+  deleteAvatar
+} = require('../controllers/userController');
+const { follow, unfollow, getFollowing } = require('../controllers/followController');
+const { getBookmarks, getBookmarkedIds } = require('../controllers/bookmarkController');
+const { protect, permit, optionalAuth } = require('../middleware/auth');
+const uploadImage = require('../middleware/upload');
+
+const router = express.Router();
+
+router.get('/roles', protect, getRoles);
+router.get('/', protect, permit('user:manage'), getUsers);
+router.put('/:id/role', protect, permit('user:manage'), updateUserRole);
+
+// The current user's profile
+router.put('/me', protect, updateMyProfile);
+router
+  .route('/me/avatar')
+  .put(protect, uploadImage('avatar'), uploadAvatar)
+  .delete(protect, deleteAvatar);
+router.get('/me/following', protect, getFollowing);
+router.get('/me/bookmarks', protect, getBookmarks);
+router.get('/me/bookmarks/ids', protect, getBookmarkedIds);
+
+// Public profiles
+router.get('/:username', optionalAuth, getProfile);
+router.get('/:username/posts', getUserPosts);
+router
+  .route('/:username/follow')
+  .post(protect, follow('author'))
+  .delete(protect, unfollow('author'));
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// Deletes stored post images and avatars that nothing refers to any more,
+// e.g. files left behind by a crash between upload and save.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getStorage } = require('../utils/storage');
+
+dotenv.config();
+
+// Skip recent uploads, which may belong to a post that is still being saved
+const MIN_AGE = 60 * 60 * 1000;
+
+// Image keys look like posts/<timestamp>-<random>/<variant>.webp (or
+// avatars/...)
+const uploadedAt = (key) => {
+  const match = key.match(/^(?:posts|avatars)\/(\d+)-/);
+  return match ? parseInt(match[1], 10) : 0;
+};
+
+const cleanup = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  const storage = getStorage();
+  const referenced = new Set([
+    ...(await Post.find().select('+featuredImageKeys').lean())
+      .flatMap((post) => post.featuredImageKeys || []),
+    ...(await User.find().select('+avatarKeys').lean())
+      .flatMap((user) => user.avatarKeys || [])
+  ]);
+
+  const orphans = [...(await storage.list('posts')), ...(await storage.list('avatars'))]
+    .filter((key) => !referenced.has(key) && Date.now() - uploadedAt(key) > MIN_AGE);
+
+  for (const key of orphans) {
+    await storage.delete(key);
+  }
+
+  console.log(`Removed ${orphans.length} orphaned image file(s)`);
+};
+
+cleanup()
+  .catch((error) => {
+    console.error('Image cleanup failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,52 @@
+// Moves comments embedded in post documents into the comments collection.
+// Safe to run more than once: migrated posts no longer have the array.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  // Read through the raw collection since `comments` is no longer in the schema
+  const cursor = Post.collection.find({ comments: { $exists: true } });
+  let posts = 0;
+  let comments = 0;
+
+  for await (const post of cursor) {
+    const embedded = (post.comments || []).map((comment) => ({
+      _id: comment._id,
+      post: post._id,
+      author: comment.author,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    if (embedded.length > 0) {
+      await Comment.insertMany(embedded, { ordered: false }).catch((error) => {
+        // Duplicate keys mean an earlier run already copied these comments
+        if (error.code !== 11000) throw error;
+      });
+    }
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $unset: { comments: '' }, $set: { commentCount: embedded.length } }
+    );
+
+    posts += 1;
+    comments += embedded.length;
+  }
+
+  console.log(`Migrated ${comments} comment(s) from ${posts} post(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
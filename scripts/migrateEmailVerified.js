@@ -0,0 +1,25 @@
+// Marks accounts created before email verification existed as verified, so
+// they can keep commenting. New accounts still verify by email. Safe to run
+// more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Email verification migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
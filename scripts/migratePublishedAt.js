@@ -0,0 +1,25 @@
+// Fills in publishedAt for posts published before it existed, from their
+// scheduled time or, failing that, their creation time. Safe to run more
+// than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  const result = await Post.updateMany(
+    { status: 'published', publishedAt: null },
+    [{ $set: { publishedAt: { $ifNull: ['$publishAt', '$createdAt'] } } }]
+  );
+  console.log(`Set publishedAt on ${result.modifiedCount} post(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('publishedAt migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+// Moves accounts from the old user/admin roles onto the role-and-permission
+// model (user becomes author; admin stays admin). Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { LEGACY_ROLES } = require('../config/permissions');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  for (const [legacy, role] of Object.entries(LEGACY_ROLES)) {
+    const result = await User.updateMany({ role: legacy }, { $set: { role } });
+    console.log(`Moved ${result.modifiedCount} user(s) from ${legacy} to ${role}`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Role migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,33 @@
+// Converts free-text post tags ("React", "react ") into Tag documents and
+// canonical slugs, then recounts every tag. Safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  let updated = 0;
+  for await (const post of Post.find({ 'tags.0': { $exists: true } }).select('tags')) {
+    const tags = await Tag.resolve(post.tags);
+
+    if (tags.join(',') !== post.tags.join(',')) {
+      await Post.updateOne({ _id: post._id }, { tags });
+      updated += 1;
+    }
+  }
+
+  await Tag.refreshCounts(await Tag.distinct('slug'));
+
+  console.log(`Normalized tags on ${updated} post(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Tag migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
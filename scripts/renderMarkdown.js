@@ -0,0 +1,35 @@
+// Renders the Markdown content of every post and stores the HTML, table of
+// contents, word count and reading time. Run after changing the renderer or
+// its sanitizer rules; safe to run more than once.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const { renderMarkdown } = require('../utils/markdown');
+
+dotenv.config();
+
+const render = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog');
+
+  let rendered = 0;
+  for await (const post of Post.find().select('content')) {
+    const { html, toc, wordCount, readingTime } = renderMarkdown(post.content);
+
+    // Re-rendering is not an edit, so leave updatedAt alone
+    await Post.updateOne(
+      { _id: post._id },
+      { contentHtml: html, toc, wordCount, readingTime },
+      { timestamps: false }
+    );
+    rendered += 1;
+  }
+
+  console.log(`Rendered ${rendered} post(s)`);
+};
+
+render()
+  .catch((error) => {
+    console.error('Markdown rendering failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
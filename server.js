@@ -1,37 +1,108 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
-const path = require('path');
+
+// Load environment variables before anything that reads them at load time
+// (rate limits, edit windows, upload sizes)
+dotenv.config();
 
 // Import routes
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const commentRoutes = require('./routes/comments');
+const feedRoutes = require('./routes/feeds');
+const tagRoutes = require('./routes/tags');
+const draftRoutes = require('./routes/drafts');
+const homeFeedRoutes = require('./routes/homeFeed');
+const notificationRoutes = require('./routes/notifications');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const rateLimit = require('./middleware/rateLimit');
+const rateLimits = require('./config/rateLimits');
 
-// Load environment variables
-dotenv.config();
+// Import configuration checks
+const { checkMailConfig } = require('./utils/mailer');
+
+// Import storage settings
+const { UPLOAD_URL, uploadDir } = require('./utils/storage');
+
+// Import background jobs
+const { startPublishScheduler } = require('./utils/publishScheduler');
+
+// Refuse to start with a mail setup that would leak tokens or lose mail
+try {
+  checkMailConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+// Credentials are needed for the refresh token cookie
+app.use(cors({
+  origin: process.env.CLIENT_URL || true,
+  credentials: true,
+  // Lets the editor read post versions for If-Match
+  exposedHeaders: ['Post-Version'],
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
+
+// Needed for req.ip to be the client address when running behind a proxy
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Rate limiting
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const routeOf = (req) => `${req.baseUrl}${req.path}`.replace(/\/$/, '');
+// Previews and bookmarks (reading progress included) are sent while someone
+// types or reads
+const isReadingRequest = (req) => (req.method === 'POST' && routeOf(req) === '/api/posts/preview')
+  || /^\/api\/posts\/[^/]+\/bookmark$/.test(routeOf(req));
+// Requests another group already limits aren't charged as writes too
+const hasOwnLimit = (req) => isReadingRequest(req)
+  || (['POST', 'PUT'].includes(req.method) && /^\/api\/posts\/[^/]+\/comments(\/[^/]+)?$/.test(routeOf(req)))
+  || /^\/api\/posts\/[^/]+\/like$/.test(routeOf(req));
+app.use('/api', rateLimit({ name: 'general', ...rateLimits.general }));
+app.use(
+  ['/api/auth/login', '/api/auth/register', '/api/auth/forgot-password', '/api/auth/reset-password'],
+  rateLimit({ name: 'auth', ...rateLimits.auth, methods: ['POST'] })
+);
+app.use('/api/posts/:id/comments', rateLimit({ name: 'comments', ...rateLimits.comments, methods: ['POST', 'PUT'] }));
+app.use('/api/posts/:id/like', rateLimit({ name: 'likes', ...rateLimits.likes }));
+app.use('/api/posts', rateLimit({ name: 'reading', ...rateLimits.reading, skip: (req) => !isReadingRequest(req) }));
+app.use(
+  ['/api/posts', '/api/categories', '/api/tags'],
+  rateLimit({ name: 'writes', ...rateLimits.writes, methods: WRITE_METHODS, skip: hasOwnLimit })
+);
 
 // Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use(UPLOAD_URL, express.static(uploadDir()));
 
 // Routes
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/feed', homeFeedRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// RSS, Atom and JSON feeds
+app.use('/', feedRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -43,6 +114,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-blog
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  startPublishScheduler();
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -0,0 +1,106 @@
+// Builds RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents from a feed
+// description:
+//
+//   { title, description, siteUrl, feedUrl, updated, items: [
+//     { id, url, title, summary, author, category, image, published, updated } ] }
+
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Guess the enclosure type from the file extension
+const imageType = (url) => {
+  const ext = url.split('?')[0].split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif' }[ext] || 'image/webp';
+};
+
+const rss = (feed) => {
+  const items = feed.items.map((item) => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+    item.category ? `      <category>${escapeXml(item.category)}</category>` : null,
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}" />` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+const atom = (feed) => {
+  const entries = feed.items.map((item) => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link href="${escapeXml(item.url)}" />`,
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(item.author)}</name></author>`,
+    item.category ? `    <category term="${escapeXml(item.category)}" />` : null,
+    `    <summary>${escapeXml(item.summary)}</summary>`,
+    item.image ? `    <link rel="enclosure" href="${escapeXml(item.image)}" type="${imageType(item.image)}" />` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(feed.siteUrl)}" />`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrl)}" />`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+const jsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.siteUrl,
+  feed_url: feed.feedUrl,
+  items: feed.items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    image: item.image || undefined,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [{ name: item.author }],
+    tags: item.category ? [item.category] : undefined
+  }))
+}, null, 2);
+
+const FORMATS = {
+  'feed.xml': { build: rss, contentType: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { build: atom, contentType: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { build: jsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+module.exports = {
+  FORMATS,
+  escapeXml
+};
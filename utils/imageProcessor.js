@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const ErrorResponse = require('./errorResponse');
+const { getStorage } = require('./storage');
+
+// Responsive sizes generated for every featured image. Images are never
+// upscaled, so small uploads keep their own size.
+const VARIANTS = {
+  thumbnail: { width: 400, height: 300, fit: 'cover' },
+  small: { width: 640 },
+  medium: { width: 1024 },
+  large: { width: 1600 }
+};
+
+// Square crops for profile pictures
+const AVATAR_VARIANTS = {
+  small: { width: 96, height: 96, fit: 'cover' },
+  large: { width: 256, height: 256, fit: 'cover' }
+};
+
+// File signatures of the formats we accept, checked against the actual
+// bytes rather than the name or the browser-supplied MIME type
+const SIGNATURES = [
+  { type: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'image/png', test: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', test: (b) => b.slice(0, 4).toString('ascii') === 'GIF8' },
+  { type: 'image/webp', test: (b) => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const detectImageType = (buffer) => {
+  const match = SIGNATURES.find(({ test }) => buffer.length >= 12 && test(buffer));
+  return match ? match.type : null;
+};
+
+// Resize the upload into every variant and store them under `folder`.
+// Returns { variants: { name: url }, keys: [storage keys] }.
+const processImage = async (buffer, { variants: sizes = VARIANTS, folder = 'posts' } = {}) => {
+  const storage = getStorage();
+  const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  const variants = {};
+  const keys = [];
+
+  try {
+    for (const [name, options] of Object.entries(sizes)) {
+      // A valid signature doesn't make a valid image: corrupt or disguised
+      // files only fail here, and that is the uploader's error
+      const output = await sharp(buffer)
+        .rotate()
+        .resize({ ...options, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer()
+        .catch(() => {
+          throw new ErrorResponse('Invalid image', 400);
+        });
+
+      const key = `${folder}/${id}/${name}.webp`;
+      variants[name] = await storage.save(key, output, 'image/webp');
+      keys.push(key);
+    }
+  } catch (error) {
+    // Don't leave half a set of variants behind
+    await deleteImages(keys);
+    throw error;
+  }
+
+  return { variants, keys };
+};
+
+const deleteImages = async (keys = []) => {
+  const storage = getStorage();
+  await Promise.all(keys.map((key) => storage.delete(key).catch((error) => {
+    console.error(`Error deleting image ${key}:`, error);
+  })));
+};
+
+module.exports = {
+  VARIANTS,
+  AVATAR_VARIANTS,
+  detectImageType,
+  processImage,
+  deleteImages
+};
@@ -0,0 +1,66 @@
+// Server-Sent Events hub. Clients subscribe to a named channel:
+//
+//   posts          newly published posts, site-wide
+//   post:<id>      new and deleted comments, likes and views of one post
+//
+// Subscribers are held in memory, so events only reach clients connected to
+// the process that published them. Running several instances would need
+// publish() to go through a shared broker (e.g. Redis pub/sub) instead.
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const POSTS_CHANNEL = 'posts';
+
+// Channel name -> Set of open responses
+const channels = new Map();
+
+const postChannel = (postId) => `post:${postId}`;
+
+// Turn the response into an event stream on a channel until the client
+// disconnects. Comment lines are sent regularly so proxies don't close idle
+// connections.
+const subscribe = (req, res, channel) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    subscribers.delete(res);
+    if (subscribers.size === 0) {
+      channels.delete(channel);
+    }
+  });
+};
+
+// Send an event to everyone subscribed to a channel
+const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) {
+    return;
+  }
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach((res) => res.write(message));
+};
+
+module.exports = {
+  POSTS_CHANNEL,
+  postChannel,
+  subscribe,
+  publish
+};
@@ -0,0 +1,64 @@
+const { getRateStore } = require('./rateStore');
+
+// Failed logins are tracked per account and per IP. Once a key reaches its
+// threshold it is locked out, with the lockout doubling on every further
+// failure up to MAX_LOCKOUT.
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000;
+const BASE_LOCKOUT = 60 * 1000;
+const MAX_LOCKOUT = 60 * 60 * 1000;
+
+const THRESHOLDS = {
+  account: 5,
+  // One IP may serve many people (offices, schools), so allow more
+  ip: 20
+};
+
+const keysFor = (email, ip) => ({
+  account: String(email).toLowerCase(),
+  ip
+});
+
+// Seconds until the account or IP may try again, or 0 when not locked
+const getLockout = async (email, ip) => {
+  const store = getRateStore();
+  const keys = keysFor(email, ip);
+  let retryAfter = 0;
+
+  for (const type of Object.keys(THRESHOLDS)) {
+    const lock = await store.get(`login-lock:${type}:${keys[type]}`);
+    if (lock) {
+      retryAfter = Math.max(retryAfter, Math.ceil((lock.resetAt - Date.now()) / 1000));
+    }
+  }
+  return retryAfter;
+};
+
+const recordFailure = async (email, ip) => {
+  const store = getRateStore();
+  const keys = keysFor(email, ip);
+
+  for (const [type, threshold] of Object.entries(THRESHOLDS)) {
+    const { count } = await store.increment(`login-fail:${type}:${keys[type]}`, FAILURE_WINDOW);
+
+    if (count >= threshold) {
+      const lockout = Math.min(BASE_LOCKOUT * 2 ** (count - threshold), MAX_LOCKOUT);
+      await store.set(`login-lock:${type}:${keys[type]}`, 1, lockout);
+    }
+  }
+};
+
+// A successful login clears the account's history; the IP's is kept so
+// one valid account can't be used to reset an attacker's counter
+const recordSuccess = async (email) => {
+  const store = getRateStore();
+  const { account } = keysFor(email);
+
+  await store.reset(`login-fail:account:${account}`);
+  await store.reset(`login-lock:account:${account}`);
+};
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  recordSuccess
+};
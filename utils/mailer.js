@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Prints mail to the server log
+const consoleTransport = () => ({
+  send: async (message) => {
+    console.log(`\n--- Mail to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---\n`);
+  }
+});
+
+// Writes each mail to its own file, handy for clicking links during development
+const fileTransport = ({ dir = process.env.MAIL_DIR || './mail' } = {}) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+    const body = `To: ${message.to}\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n`;
+    await fs.writeFile(path.join(dir, name), body);
+  }
+});
+
+// Sends through an SMTP server, for production
+const smtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    // true for port 465; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => mailer.sendMail(message)
+  };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+let transport = null;
+
+// Register another transport (e.g. SMTP or an email API) under a name
+// that MAIL_TRANSPORT can select
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+// Outside development the transport must be chosen explicitly: the console
+// and file transports would write reset and verification links in plain
+// text to the server log or disk.
+const transportName = () => {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+// Fail at startup rather than on the first mail when the configuration is wrong
+const checkMailConfig = () => {
+  const name = transportName();
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set for the smtp mail transport');
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = transportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  checkMailConfig,
+  sendMail,
+  registerTransport
+};
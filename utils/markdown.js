@@ -0,0 +1,143 @@
+const MarkdownIt = require('markdown-it');
+const footnote = require('markdown-it-footnote');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('./slugify');
+
+const WORDS_PER_MINUTE = 200;
+
+// Tables and fenced code are built in; fenced code gets a language-<name>
+// class for client-side syntax highlighting
+const md = new MarkdownIt({ html: true, linkify: true }).use(footnote);
+
+// Only what Markdown itself produces survives, plus a few harmless inline tags
+const sanitizeOptions = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 's', 'sub', 'sup', 'kbd', 'mark',
+    'a', 'img', 'code', 'pre', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'section'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'id', 'class', 'rel'],
+    img: ['src', 'alt', 'title'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    li: ['id', 'class'],
+    sup: ['id', 'class'],
+    ol: ['class', 'start'],
+    section: ['class'],
+    hr: ['class'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    a: ['footnote-ref', 'footnote-backref'],
+    li: ['footnote-item'],
+    sup: ['footnote-ref'],
+    ol: ['footnotes-list'],
+    section: ['footnotes'],
+    hr: ['footnotes-sep']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href', 'src'],
+  transformTags: {
+    // Links leaving the page should not pass on ranking or the opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.href && !attribs.href.startsWith('#')
+        ? { ...attribs, rel: 'nofollow noopener' }
+        : attribs
+    })
+  }
+};
+
+// Plain text of the inline tokens, skipping raw HTML and the contents of
+// inline <script> and <style> tags
+const inlineText = (token) => {
+  let hidden = false;
+
+  return (token.children || []).reduce((text, child) => {
+    if (child.type === 'html_inline') {
+      if (/^<(script|style)\b/i.test(child.content)) {
+        hidden = true;
+      } else if (/^<\/(script|style)\b/i.test(child.content)) {
+        hidden = false;
+      }
+      return text;
+    }
+    return !hidden && ['text', 'code_inline'].includes(child.type) ? text + child.content : text;
+  }, '');
+};
+
+// Give headings unique ids and collect them into a table of contents
+const addHeadingIds = (tokens) => {
+  const toc = [];
+  const used = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const text = inlineText(tokens[index + 1]).trim();
+    const base = slugify(text) || 'section';
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    const id = count ? `${base}-${count}` : base;
+
+    token.attrSet('id', id);
+    toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+
+  return toc;
+};
+
+// Plain text of the document, leaving out code blocks and raw HTML
+const plainText = (tokens) => tokens
+  .filter((token) => token.type === 'inline')
+  .map(inlineText)
+  .join(' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Render Markdown to sanitized HTML along with the values derived from it
+const renderMarkdown = (source = '') => {
+  const env = {};
+  const tokens = md.parse(source, env);
+  const toc = addHeadingIds(tokens);
+  const text = plainText(tokens);
+  const wordCount = text ? text.split(' ').length : 0;
+
+  return {
+    html: sanitizeHtml(md.renderer.render(tokens, md.options, env), sanitizeOptions),
+    text,
+    toc,
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  };
+};
+
+// Plain text of a Markdown document, the same as renderMarkdown's `text`,
+// without rendering the HTML
+const markdownText = (source = '') => plainText(md.parse(source, {}));
+
+// Shorten plain text to at most `length` characters on a word boundary
+const truncateText = (text, length = 150) => {
+  if (text.length <= length) {
+    return text;
+  }
+
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}...`;
+};
+
+module.exports = {
+  renderMarkdown,
+  markdownText,
+  truncateText
+};
@@ -0,0 +1,109 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+
+// @username, but not the middle of an email address
+const MENTION_PATTERN = /(?<![\w@.])@([\w.-]{3,30})/g;
+
+// Usernames @mentioned in a piece of text
+const extractMentions = (text = '') => [
+  ...new Set([...String(text).matchAll(MENTION_PATTERN)].map((match) => match[1].replace(/[.-]+$/, '')))
+];
+
+// Notify each recipient once, skipping the actor and anyone who has turned
+// this type of notification off. Returns the notifications created.
+const createNotifications = async (type, recipients, fields) => {
+  const ids = [...new Set(recipients.map(String))].filter((id) => id !== String(fields.actor));
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const wanted = await User.find({ _id: { $in: ids }, [`notificationPreferences.${type}`]: { $ne: false } })
+    .select('_id');
+
+  return Notification.insertMany(wanted.map((user) => ({ ...fields, type, recipient: user._id })));
+};
+
+// Notifications are a side effect; failing to create them never fails the
+// request that triggered them
+const safely = (name, fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    console.error(`Error creating ${name} notifications:`, error);
+    return [];
+  }
+};
+
+// A newly visible comment: tell the post's author, the author of the comment
+// it replies to and anyone it @mentions, each only once. Replies and mentions
+// on a post that isn't published yet aren't sent, since the recipients may
+// not be allowed to see it. A comment that is approved again after being
+// rejected doesn't notify twice.
+const notifyComment = safely('comment', async (comment) => {
+  if (await Notification.exists({ comment: comment._id })) {
+    return [];
+  }
+
+  const post = await Post.findById(comment.post).select('author status');
+  if (!post) {
+    return [];
+  }
+
+  const fields = { actor: comment.author, post: post._id, comment: comment._id };
+  const notified = new Set([String(comment.author)]);
+  const created = [];
+
+  const send = async (type, recipients) => {
+    const fresh = recipients.map(String).filter((id) => !notified.has(id));
+    fresh.forEach((id) => notified.add(id));
+    created.push(...await createNotifications(type, fresh, fields));
+  };
+
+  const published = post.status === 'published';
+
+  if (published && comment.parent) {
+    const parent = await Comment.findById(comment.parent).select('author');
+    if (parent && parent.author) {
+      await send('reply', [parent.author]);
+    }
+  }
+
+  await send('comment', [post.author]);
+
+  const usernames = published ? extractMentions(comment.content) : [];
+  if (usernames.length > 0) {
+    const mentioned = await User.find({ username: { $in: usernames } }).select('_id');
+    await send('mention', mentioned.map((user) => user._id));
+  }
+
+  return created;
+});
+
+// A like on a post. Unliking and liking again doesn't notify twice.
+const notifyLike = safely('like', async (post, actor) => {
+  if (await Notification.exists({ type: 'like', actor, post: post._id })) {
+    return [];
+  }
+  return createNotifications('like', [post.author], { actor, post: post._id });
+});
+
+// A post went live: tell the author's followers, unless they already heard
+// about it the first time it was published
+const notifyPublished = safely('published', async (post) => {
+  const followers = await Follow.find({ user: post.author }).distinct('follower');
+  const alreadyNotified = (await Notification.find({ type: 'published', post: post._id }).distinct('recipient'))
+    .map(String);
+
+  const recipients = followers.filter((id) => !alreadyNotified.includes(String(id)));
+  return createNotifications('published', recipients, { actor: post.author, post: post._id });
+});
+
+module.exports = {
+  extractMentions,
+  notifyComment,
+  notifyLike,
+  notifyPublished
+};
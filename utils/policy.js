@@ -0,0 +1,32 @@
+const { permissionsFor } = require('../config/permissions');
+
+// Whether the user wrote the post, comment or other authored resource
+const isOwner = (user, resource) => {
+  const author = resource.author && (resource.author._id || resource.author);
+  return Boolean(author) && author.toString() === user.id;
+};
+
+// Whether a user holds a named permission, e.g. hasPermission(user, 'tag:manage')
+const hasPermission = (user, permission) => Boolean(user) && permissionsFor(user.role).has(permission);
+
+// Whether a user may perform an action, optionally on a resource. Actions
+// with :own/:any variants are allowed by the :any permission, or by the
+// :own one on the user's own resources:
+//
+//   can(req.user, 'post:edit', post)   // post:edit:any, or owner with post:edit:own
+//   can(req.user, 'post:publish')
+const can = (user, action, resource = null) => {
+  if (!user) {
+    return false;
+  }
+  if (hasPermission(user, action) || hasPermission(user, `${action}:any`)) {
+    return true;
+  }
+  return Boolean(resource) && isOwner(user, resource) && hasPermission(user, `${action}:own`);
+};
+
+module.exports = {
+  can,
+  hasPermission,
+  isOwner
+};
@@ -0,0 +1,47 @@
+const { can } = require('./policy');
+
+// draft <-> in_review -> changes_requested -> in_review -> published/scheduled
+//
+// Anyone who can edit a post can move it between draft and review. Putting a
+// post live (or taking it down) needs post:publish, and changes are only
+// requested through a review.
+const STATUSES = ['draft', 'in_review', 'changes_requested', 'scheduled', 'published'];
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// Why the user may not move a post from one status to another, or null if
+// they may. `from` is null for a new post; unknown statuses are left to
+// schema validation.
+const transitionError = (user, from, to) => {
+  if (from === to) {
+    return null;
+  }
+  if (to === 'changes_requested') {
+    return 'Changes can only be requested by reviewing the post';
+  }
+  if ((LIVE_STATUSES.includes(to) || LIVE_STATUSES.includes(from)) && !can(user, 'post:publish')) {
+    return 'Not authorized to publish or unpublish posts; submit the post for review instead';
+  }
+  return null;
+};
+
+// Why the user may not change a post's content (by editing it or restoring
+// a revision) or delete it, or null if they may. Live posts went through
+// review, so only those who can publish may change or take them down.
+const editError = (user, post) => {
+  if (LIVE_STATUSES.includes(post.status) && !can(user, 'post:publish')) {
+    return 'Published and scheduled posts can only be changed by an editor';
+  }
+  return null;
+};
+
+// Unpublished posts are only visible to those who can edit them: the
+// author and editors
+const isVisibleTo = (user, post) => post.status === 'published' || can(user, 'post:edit', post);
+
+module.exports = {
+  STATUSES,
+  LIVE_STATUSES,
+  transitionError,
+  editError,
+  isVisibleTo
+};
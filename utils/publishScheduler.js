@@ -0,0 +1,72 @@
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const { notifyPublished } = require('./notifications');
+const { POSTS_CHANNEL, publish } = require('./liveEvents');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+
+let timer = null;
+
+// Publish every scheduled post whose publish time has passed.
+// Each post is claimed with its own conditional update, so overlapping runs
+// can't publish (and announce) a post twice, and a post that comes due
+// mid-run waits for the next one. Tag counts only include published posts,
+// so they are refreshed after, and followers of the authors are notified.
+const publishDuePosts = async () => {
+  const duePosts = await Post.find({ status: 'scheduled', publishAt: { $lte: new Date() } }).select('_id');
+
+  const published = [];
+  for (const { _id } of duePosts) {
+    const post = await Post.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published', publishedAt: new Date() }, $inc: { version: 1 } },
+      { new: true }
+    ).select('author title slug tags');
+    if (post) {
+      published.push(post);
+    }
+  }
+
+  if (published.length > 0) {
+    console.log(`Published ${published.length} scheduled post(s)`);
+    await Tag.refreshCounts(published.flatMap((post) => post.tags));
+
+    for (const post of published) {
+      await notifyPublished(post);
+      publish(POSTS_CHANNEL, 'post-published', { _id: post._id, title: post.title, slug: post.slug });
+    }
+  }
+
+  return published.length;
+};
+
+const runSafely = () => {
+  publishDuePosts().catch((error) => {
+    console.error('Publish scheduler error:', error);
+  });
+};
+
+// Start polling for due posts. The first run happens immediately so posts
+// that came due while the server was down are published on startup.
+const startPublishScheduler = (interval = parseInt(process.env.PUBLISH_INTERVAL, 10) || DEFAULT_INTERVAL) => {
+  if (timer) {
+    return;
+  }
+
+  runSafely();
+  timer = setInterval(runSafely, interval);
+  timer.unref();
+};
+
+const stopPublishScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishDuePosts,
+  startPublishScheduler,
+  stopPublishScheduler
+};
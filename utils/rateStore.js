@@ -0,0 +1,77 @@
+// Counter store used by rate limiting and login throttling.
+//
+// A store keeps integer counters that expire after a time-to-live. Every
+// method is async so a shared store (e.g. Redis) can replace the in-memory
+// one without changing callers:
+//
+//   increment(key, ttlMs) -> { count, resetAt }   starts a new window when none is active
+//   get(key)              -> { count, resetAt } | null
+//   set(key, count, ttlMs)
+//   reset(key)
+
+class MemoryStore {
+  constructor({ cleanupInterval = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired entries so memory doesn't grow with every client seen
+    this.timer = setInterval(() => this.cleanup(), cleanupInterval);
+    this.timer.unref();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, ttlMs) {
+    let entry = this.live(key);
+    if (!entry) {
+      entry = { count: 0, resetAt: Date.now() + ttlMs };
+      this.entries.set(key, entry);
+    }
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? { ...entry } : null;
+  }
+
+  async set(key, count, ttlMs) {
+    this.entries.set(key, { count, resetAt: Date.now() + ttlMs });
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+// Replace the store used by every limiter, e.g. with a shared one when
+// running several server processes
+const setRateStore = (nextStore) => {
+  store = nextStore;
+};
+
+const getRateStore = () => store;
+
+module.exports = {
+  MemoryStore,
+  setRateStore,
+  getRateStore
+};
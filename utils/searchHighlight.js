@@ -0,0 +1,106 @@
+const { markdownText } = require('./markdown');
+
+const SNIPPET_LENGTH = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Split a search query into the words worth highlighting. Quoted phrases
+// stay together and negated terms (-word) are dropped, as in $text.
+const parseTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+  return terms;
+};
+
+// Matches each term as a word prefix so stemmed hits ("posting" for "post") still light up
+const buildMatcher = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  return new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi');
+};
+
+// HTML-escape the text and wrap every match in <mark>
+const highlight = (text, matcher) => {
+  if (!text) {
+    return '';
+  }
+  if (!matcher) {
+    return escapeHtml(text);
+  }
+
+  let result = '';
+  let last = 0;
+  text.replace(matcher, (match, term, offset) => {
+    result += escapeHtml(text.slice(last, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return result + escapeHtml(text.slice(last));
+};
+
+// Cut a window of the text around the first match, falling back to the start
+const snippet = (text, matcher, length = SNIPPET_LENGTH) => {
+  if (!text) {
+    return '';
+  }
+
+  let start = 0;
+  if (matcher) {
+    matcher.lastIndex = 0;
+    const found = matcher.exec(text);
+    matcher.lastIndex = 0;
+    if (found) {
+      start = Math.max(0, found.index - Math.floor(length / 3));
+    }
+  }
+
+  // Don't start or end in the middle of a word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+  return prefix + highlight(text.slice(start, end), matcher) + suffix;
+};
+
+// Highlighted title and body snippet for a search result. The snippet is
+// cut from the post's plain text so no Markdown syntax shows up in it.
+const buildHighlights = (post, query) => {
+  const matcher = buildMatcher(parseTerms(query));
+
+  return {
+    title: highlight(post.title, matcher),
+    snippet: snippet(markdownText(post.content), matcher)
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  escapeHtml,
+  parseTerms,
+  buildHighlights
+};
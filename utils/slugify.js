@@ -0,0 +1,35 @@
+// Letters that don't decompose into ASCII with Unicode normalization
+const CHAR_MAP = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i', ħ: 'h',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f',
+  х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l',
+  μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f',
+  χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+const transliterate = (text) => text
+  .split('')
+  .map((char) => (CHAR_MAP[char] !== undefined ? CHAR_MAP[char] : char))
+  .join('');
+
+// Turn a title into a lowercase, ASCII-only URL slug, transliterating
+// accented and non-Latin letters where possible. Mapping runs before and
+// after stripping accents so both "й" and "ά" come out right.
+const slugify = (text, maxLength = 80) => {
+  const plain = transliterate(String(text).toLowerCase())
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  return transliterate(plain)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+};
+
+module.exports = slugify;
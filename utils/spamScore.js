@@ -0,0 +1,76 @@
+const Comment = require('../models/Comment');
+
+// Comments scoring at or above these are held for review or marked as spam
+const HOLD_THRESHOLD = 2;
+const SPAM_THRESHOLD = 5;
+
+const DEFAULT_BLOCKED_WORDS = ['viagra', 'casino', 'payday loan', 'free money', 'crypto giveaway', 'work from home'];
+
+const REPEAT_WINDOW = 24 * 60 * 60 * 1000;
+
+const blockedWords = () => {
+  const extra = (process.env.SPAM_BLOCKED_WORDS || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BLOCKED_WORDS, ...extra];
+};
+
+// Heuristic spam score for a new or edited comment, with the reasons that
+// added to it
+const scoreComment = async ({ _id, content, author }) => {
+  const text = content || '';
+  const lower = text.toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  // Links: one is normal, several is suspicious
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links >= 3 ? 4 : links;
+    reasons.push(`${links} link(s)`);
+  }
+
+  blockedWords().forEach((word) => {
+    if (lower.includes(word)) {
+      score += 3;
+      reasons.push(`blocked word "${word}"`);
+    }
+  });
+
+  // Mostly upper-case text
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    score += 1;
+    reasons.push('shouting');
+  }
+
+  // The same author posting the same text again; an edited comment doesn't
+  // repeat itself
+  const repeats = await Comment.countDocuments({
+    author,
+    content: text,
+    createdAt: { $gte: new Date(Date.now() - REPEAT_WINDOW) },
+    ...(_id && { _id: { $ne: _id } })
+  });
+  if (repeats > 0) {
+    score += 4;
+    reasons.push('repeated content');
+  }
+
+  return { score, reasons };
+};
+
+// Status a new comment should start in
+const initialStatus = (score, premoderated) => {
+  if (score >= SPAM_THRESHOLD) return 'spam';
+  if (premoderated || score >= HOLD_THRESHOLD) return 'pending';
+  return 'approved';
+};
+
+module.exports = {
+  scoreComment,
+  initialStatus,
+  HOLD_THRESHOLD,
+  SPAM_THRESHOLD
+};
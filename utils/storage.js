@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// File storage used for uploaded images. A storage backend implements:
+//
+//   save(key, buffer, contentType) -> public URL
+//   delete(key)                    (missing files are not an error)
+//   list(prefix)                   -> keys, used by the orphan cleanup script
+//
+// Keys are relative paths like "posts/abc123/thumbnail.webp".
+
+// Where local uploads are written and the URL path they are served from;
+// server.js serves uploadDir() at UPLOAD_URL, so both come from here
+const UPLOAD_URL = '/uploads';
+const uploadDir = () => path.resolve(process.env.FILE_UPLOAD_PATH || './uploads');
+
+class LocalStorage {
+  constructor({ dir = uploadDir(), baseUrl = UPLOAD_URL } = {}) {
+    this.dir = path.resolve(dir);
+    this.baseUrl = baseUrl;
+  }
+
+  // Refuse keys that would escape the upload directory
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else {
+          keys.push(path.relative(this.dir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+    await walk(prefix ? this.resolve(prefix) : this.dir);
+    return keys;
+  }
+}
+
+// Backends selectable with STORAGE_DRIVER. An S3-compatible backend can be
+// added here with the same interface.
+const drivers = {
+  local: () => new LocalStorage()
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+// Swap the storage backend, e.g. for another driver or in tests
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+module.exports = {
+  UPLOAD_URL,
+  uploadDir,
+  LocalStorage,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostVisit = require('../models/PostVisit');
+const PostStat = require('../models/PostStat');
+const { isOwner } = require('./policy');
+
+// Repeat views by the same visitor count once per window (minutes)
+const VIEW_WINDOW = (parseInt(process.env.VIEW_WINDOW, 10) || 30) * 60 * 1000;
+
+// Referrer hosts kept per post per day
+const MAX_REFERRERS = 100;
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|curl|wget|python-requests|go-http-client/i;
+
+// UTC date as YYYY-MM-DD, the key of daily stats
+const dayOf = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Signed-in readers are their user id; everyone else a keyed hash of IP and
+// user agent, so raw addresses are never stored
+const visitorId = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${req.ip}|${req.get('User-Agent')}`)
+    .digest('hex');
+};
+
+// External host the visitor came from, if any. The client sends
+// document.referrer as ?ref=, since the API request's own Referer is the app.
+const referrerHost = (req) => {
+  if (!req.query.ref) {
+    return null;
+  }
+  try {
+    const { protocol, hostname } = new URL(req.query.ref);
+    const ownHost = new URL(process.env.CLIENT_URL || 'http://localhost:5173').hostname;
+    if (!['http:', 'https:'].includes(protocol) || hostname === ownHost) {
+      return null;
+    }
+    return hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Add to a post's totals for today, e.g. recordActivity(id, { likes: 1 })
+const recordActivity = async (postId, counts, referrer = null) => {
+  const day = dayOf();
+  await PostStat.updateOne({ post: postId, day }, { $inc: counts }, { upsert: true });
+
+  if (referrer) {
+    const result = await PostStat.updateOne(
+      { post: postId, day, 'referrers.host': referrer },
+      { $inc: { 'referrers.$.count': 1 } }
+    );
+    if (result.matchedCount === 0) {
+      await PostStat.updateOne(
+        { post: postId, day, [`referrers.${MAX_REFERRERS - 1}`]: { $exists: false } },
+        { $push: { referrers: { host: referrer, count: 1 } } }
+      );
+    }
+  }
+};
+
+// Count a view of a published post, unless it comes from a bot, from the
+// author, or from a visitor who already viewed it within the window. The
+// first view of the day by a visitor also counts them as unique; the window
+// starts afresh at midnight UTC. Returns whether the view was counted.
+const recordView = async (post, req) => {
+  if (post.status !== 'published' || isBot(req.get('User-Agent')) || (req.user && isOwner(req.user, post))) {
+    return false;
+  }
+
+  const now = new Date();
+  const previous = await PostVisit.findOneAndUpdate(
+    { post: post._id, visitor: visitorId(req), day: dayOf(now) },
+    { $setOnInsert: { lastViewAt: now } },
+    { upsert: true, new: false }
+  );
+
+  // Claim the view atomically so parallel requests can't both count it
+  if (previous) {
+    const result = await PostVisit.updateOne(
+      { _id: previous._id, lastViewAt: { $lte: new Date(now.getTime() - VIEW_WINDOW) } },
+      { $set: { lastViewAt: now } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+  }
+
+  await Post.updateOne({ _id: post._id }, { $inc: { views: 1 } });
+  await recordActivity(post._id, { views: 1, uniques: previous ? 0 : 1 }, referrerHost(req));
+  return true;
+};
+
+module.exports = {
+  dayOf,
+  isBot,
+  recordActivity,
+  recordView
+};